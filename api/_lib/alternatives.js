@@ -0,0 +1,129 @@
+// /api/_lib/alternatives.js
+// Good/better/best specifications for one section of a quote. The current
+// specification is "better"; the model proposes a budget ("good") and a
+// premium ("best") materials list, which are matched and priced like the plan.
+
+import { matchMaterials } from './matching.js';
+import { applyWasteAllowances, resolveWasteAllowances } from '../../src/lib/waste.js';
+import { PlanValidationError, buildRepairPrompt, extractJson, validateMaterialList } from './plan.js';
+
+// How many times the model is asked to fix alternatives that fail validation
+const MAX_REPAIR_ATTEMPTS = 1;
+export const GENERATED_TIERS = ['good', 'best'];
+
+function buildAlternativesPrompt(desc, materials) {
+  const current = materials.map(m => `- ${m.name}: ${m.quantity} ${m.unit}`).join('\n');
+  return `
+You are a UK-based quantity surveyor offering a customer a choice of specifications for this job:
+"${desc}"
+
+The current specification is the mid-range option:
+${current}
+
+Propose two alternative specifications for the same job:
+- "good": a budget option, e.g. concrete flags instead of natural stone, or concrete instead of timber posts.
+- "best": a premium option, e.g. porcelain instead of sandstone, or hardwood instead of softwood.
+
+Each must be a complete materials list for the whole job, not just the items that change. Adjust quantities
+and add or remove supporting materials where the specification needs it (e.g. primer for porcelain).
+
+Your output must be a single JSON object only:
+{
+  "alternatives": [
+    {
+      "tier": "good | best",
+      "name": "short name, e.g. Concrete flag patio",
+      "summary": "one sentence on what changes and why a customer would choose it",
+      "materials": [
+        { "name": "string", "quantity": number, "unit": "string", "category": "tiles | paving | timber | aggregates | masonry | cement | other" }
+      ]
+    }
+  ]
+}
+
+Use standard units (m², m³, m, kg, tonnes, litres, each). Quantities must be the bare amounts; waste is added afterwards.
+Do not include explanations outside the JSON object.
+  `.trim();
+}
+
+function validateAlternatives(value) {
+  const errors = [];
+  const warnings = [];
+  const list = Array.isArray(value?.alternatives) ? value.alternatives : null;
+  if (!list) {
+    return { alternatives: [], errors: [{ path: 'alternatives', message: 'Must be an array' }], warnings };
+  }
+
+  const alternatives = GENERATED_TIERS.map(tier => {
+    const index = list.findIndex(a => String(a?.tier).toLowerCase() === tier);
+    const path = `alternatives[${index === -1 ? list.length : index}]`;
+    if (index === -1) {
+      errors.push({ path: 'alternatives', message: `Missing the "${tier}" option` });
+      return null;
+    }
+    const item = list[index];
+    const name = typeof item.name === 'string' && item.name.trim() ? item.name.trim() : null;
+    if (!name) errors.push({ path: `${path}.name`, message: 'Must be a non-empty string' });
+    return {
+      tier,
+      name,
+      summary: typeof item.summary === 'string' ? item.summary.trim() : '',
+      materials: validateMaterialList(item.materials, `${path}.materials`, errors, warnings),
+    };
+  }).filter(Boolean);
+
+  return { alternatives, errors, warnings };
+}
+
+/**
+ * Asks the model for the good and best options, repairing invalid output.
+ * Resolves to { alternatives, warnings }; throws PlanValidationError.
+ */
+async function generateAlternatives(desc, materials, llm) {
+  const prompt = buildAlternativesPrompt(desc, materials);
+  let raw = await llm.generate(prompt, { task: 'alternatives', subject: desc });
+
+  for (let attempt = 0; ; attempt++) {
+    const { value, error } = extractJson(raw);
+    const checked = error ? { errors: [error], warnings: [] } : validateAlternatives(value);
+    if (checked.errors.length === 0) {
+      return { alternatives: checked.alternatives, warnings: checked.warnings };
+    }
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      throw new PlanValidationError('The alternatives failed validation', checked.errors, checked.warnings);
+    }
+    raw = await llm.generate(buildRepairPrompt(prompt, raw, checked.errors), { task: 'repair-alternatives', subject: desc });
+  }
+}
+
+/**
+ * Generates, matches and prices the good and best options for a section's
+ * materials. Resolves to { alternatives, warnings } where each alternative is
+ * { id, sectionId, tier, name, summary, materials }.
+ */
+export async function buildAlternatives(
+  { jobDescription, materials, sectionId, wasteAllowances },
+  { llm, catalogue }
+) {
+  const { alternatives, warnings } = await generateAlternatives(jobDescription, materials, llm);
+  const allowances = resolveWasteAllowances(wasteAllowances);
+  const prefix = sectionId ? `${sectionId}-` : '';
+
+  const priced = await Promise.all(alternatives.map(async (alt) => {
+    const { materials: matched } = await matchMaterials(
+      applyWasteAllowances(alt.materials, allowances),
+      catalogue,
+      { idPrefix: `${prefix}${alt.tier}-` }
+    );
+    return {
+      id: `${prefix}alt-${alt.tier}`,
+      sectionId,
+      tier: alt.tier,
+      name: alt.name,
+      summary: alt.summary,
+      materials: matched.map(m => ({ ...m, sectionId })),
+    };
+  }));
+
+  return { alternatives: priced, warnings };
+}
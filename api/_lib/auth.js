@@ -0,0 +1,29 @@
+// /api/_lib/auth.js
+// The contractor's API key. Every route except the customer's side of a
+// shared quote (/api/share/[token]) needs CONTRACTOR_API_KEY in the X-Api-Key
+// header; with no key configured those routes refuse every request.
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+/**
+ * Checks the caller's API key, answering 401 (or 503 if no key is configured)
+ * when it doesn't match. Returns whether the handler should carry on:
+ *   if (!requireApiKey(req, res)) return;
+ */
+export function requireApiKey(req, res) {
+  const expected = process.env.CONTRACTOR_API_KEY;
+  if (!expected) {
+    res.status(503).json({ error: 'CONTRACTOR_API_KEY is not configured on the server' });
+    return false;
+  }
+
+  const given = req.headers?.['x-api-key'];
+  // Compare digests so the check takes as long whatever the key's length
+  if (!given || !timingSafeEqual(digest(given), digest(expected))) {
+    res.status(401).json({ error: 'A valid API key is required' });
+    return false;
+  }
+  return true;
+}
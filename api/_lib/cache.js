@@ -0,0 +1,27 @@
+// /api/_lib/cache.js
+
+/**
+ * Small in-memory cache with a time-to-live. Lives for as long as the function
+ * instance stays warm; the oldest entry is evicted once `maxEntries` is reached.
+ */
+export function createTtlCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expires <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+      entries.set(key, { value, expires: Date.now() + ttlMs });
+    },
+  };
+}
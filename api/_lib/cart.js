@@ -0,0 +1,105 @@
+// /api/_lib/cart.js
+// Hands a quote's materials over to the shop's cart.
+//   CART_ENDPOINT set    the payload is POSTed there as { reference, items: [{ id, quantity }] }
+//                        (with CART_API_KEY as a bearer token if set). The endpoint
+//                        answers { cartUrl, failed: [{ id, reason }] }.
+//   CART_ENDPOINT unset  a local stand-in keeps the cart in the 'carts' collection,
+//                        so the handoff can be exercised without a shop.
+
+import { randomBytes } from 'node:crypto';
+import { getStore } from './storage/index.js';
+
+const carts = () => getStore('carts');
+
+// A shop that doesn't answer shouldn't hold the function until the platform kills it
+const ENDPOINT_TIMEOUT_MS = 15000;
+
+// Thrown when the cart endpoint can't be reached or refuses the cart
+export class CartError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'CartError';
+    this.status = status;
+  }
+}
+
+function problemWith(item) {
+  if (item.id === undefined || item.id === null || item.id === '' || String(item.id).startsWith('manual-')) {
+    return 'No catalogue product';
+  }
+  if (!(Number.isInteger(item.quantity) && item.quantity > 0)) return 'Quantity must be a whole number of packs';
+  return null;
+}
+
+async function postToEndpoint(url, { reference, items }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.CART_API_KEY) headers.Authorization = `Bearer ${process.env.CART_API_KEY}`;
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ reference, items: items.map(({ id, quantity }) => ({ id, quantity })) }),
+      signal: AbortSignal.timeout(ENDPOINT_TIMEOUT_MS),
+    });
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new CartError('The cart took too long to respond', 504);
+    throw new CartError(`Could not reach the cart: ${err.message}`, 502);
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    throw new CartError(body?.error || body?.message || `The cart responded with status ${res.status}`, 502);
+  }
+  if (!body || typeof body !== 'object' || (body.failed !== undefined && !Array.isArray(body.failed))) {
+    throw new CartError('The cart sent back a response it could not understand', 502);
+  }
+  return {
+    cartId: body.cartId || null,
+    cartUrl: body.cartUrl || null,
+    failed: (body.failed || []).filter(f => f && typeof f === 'object'),
+  };
+}
+
+async function saveLocally({ reference, items }) {
+  const now = new Date().toISOString();
+  const cart = await carts().put({
+    id: `cart-${randomBytes(9).toString('base64url')}`,
+    reference,
+    items,
+    createdAt: now,
+    updatedAt: now,
+  });
+  return { cartId: cart.id, cartUrl: null, failed: [] };
+}
+
+/**
+ * Sends { reference, items: [{ id, quantity, name, materialIds }] } to the cart.
+ * Items that fail validation here or are refused by the cart come back in
+ * `failed` with a reason; the rest are in `added`.
+ */
+export async function submitCart({ reference = null, items = [] }) {
+  const failed = [];
+  const valid = [];
+  items.forEach(item => {
+    const reason = problemWith(item);
+    if (reason) failed.push({ ...item, reason });
+    else valid.push(item);
+  });
+
+  if (!valid.length) return { cartId: null, cartUrl: null, added: [], failed };
+
+  const endpoint = process.env.CART_ENDPOINT;
+  const result = endpoint
+    ? await postToEndpoint(endpoint, { reference, items: valid })
+    : await saveLocally({ reference, items: valid });
+
+  const refused = new Map(result.failed.map(f => [String(f.id), f.reason || 'Refused by the cart']));
+  const added = [];
+  valid.forEach(item => {
+    const reason = refused.get(String(item.id));
+    if (reason) failed.push({ ...item, reason });
+    else added.push(item);
+  });
+  return { cartId: result.cartId, cartUrl: result.cartUrl, added, failed };
+}
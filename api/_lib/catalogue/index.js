@@ -0,0 +1,28 @@
+// /api/_lib/catalogue/index.js
+// Picks the product catalogue from the environment:
+//   CATALOGUE_SOURCE=wordpress (default) the At Trade Price product search API
+//                                         (WORDPRESS_SEARCH_URL to point elsewhere)
+//   CATALOGUE_SOURCE=local               a CSV or JSON price list at CATALOGUE_PATH
+//                                         (defaults to the bundled sample catalogue)
+//
+// Every catalogue exposes search(query, { limit }) resolving to product options.
+
+import { fileURLToPath } from 'node:url';
+import { createLocalCatalogue } from './local.js';
+import { createWordPressCatalogue } from './wordpress.js';
+
+const SAMPLE_CATALOGUE = fileURLToPath(new URL('./sample-catalogue.csv', import.meta.url));
+
+const CATALOGUES = {
+  wordpress: () => createWordPressCatalogue({ url: process.env.WORDPRESS_SEARCH_URL || undefined }),
+  local: () => createLocalCatalogue({ file: process.env.CATALOGUE_PATH || SAMPLE_CATALOGUE }),
+};
+
+export function getCatalogue() {
+  const name = (process.env.CATALOGUE_SOURCE || 'wordpress').toLowerCase();
+  const create = CATALOGUES[name];
+  if (!create) {
+    throw new Error(`Unknown CATALOGUE_SOURCE "${name}". Use one of: ${Object.keys(CATALOGUES).join(', ')}`);
+  }
+  return create();
+}
@@ -0,0 +1,94 @@
+// /api/_lib/catalogue/local.js
+// A catalogue loaded from a local CSV or JSON file: a merchant's own price list,
+// a test fixture or an offline copy of the website. Materials are matched to
+// products by fuzzy name similarity.
+
+import { readFileSync } from 'node:fs';
+import stringSimilarity from 'string-similarity';
+import { toProductOption } from './product.js';
+
+const MIN_SCORE = 0.3;
+const cache = new Map();
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim()));
+  const keys = header.map(h => h.trim().toLowerCase());
+  return body.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+}
+
+function loadProducts(file) {
+  if (!cache.has(file)) {
+    const text = readFileSync(file, 'utf8');
+    const rows = file.toLowerCase().endsWith('.csv') ? parseCsv(text) : JSON.parse(text);
+    const list = Array.isArray(rows) ? rows : rows.products || [];
+    cache.set(
+      file,
+      list
+        .filter(p => p.name)
+        .map((p, i) => toProductOption({ ...p, id: p.id || p.sku || `local-${i + 1}` }, 'local'))
+    );
+  }
+  return cache.get(file);
+}
+
+const normalise = (text) => String(text).toLowerCase().replace(/[^a-z0-9.]+/g, ' ').trim();
+
+// Blend of character similarity and how many of the query's words the name contains
+function score(query, name) {
+  const q = normalise(query);
+  const n = normalise(name);
+  const words = q.split(' ').filter(Boolean);
+  const coverage = words.length ? words.filter(w => n.includes(w)).length / words.length : 0;
+  return 0.5 * stringSimilarity.compareTwoStrings(q, n) + 0.5 * coverage;
+}
+
+export function createLocalCatalogue({ file }) {
+  return {
+    name: 'local',
+    async search(query, { limit = 5 } = {}) {
+      return loadProducts(file)
+        .map(product => ({ product, score: score(query, `${product.name} ${product.sku || ''}`) }))
+        .filter(match => match.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(match => match.product);
+    },
+  };
+}
@@ -0,0 +1,25 @@
+// /api/_lib/catalogue/product.js
+// Turns a product from any catalogue into the option shape the UI works with.
+
+function toPrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = parseFloat(String(value).replace(/[^0-9.]/g, ''));
+  return Number.isFinite(num) ? num : null;
+}
+
+export function toProductOption(p, source) {
+  return {
+    id: p.id,
+    sku: p.sku || null,
+    name: p.name,
+    image: p.image || null,
+    description: p.description || '',
+    link: p.link || null,
+    tradePrice: toPrice(p.trade_price ?? p.tradePrice ?? p.price),
+    rrp: toPrice(p.rrp ?? p.regular_price),
+    vatStatus: p.vat_status || p.vatStatus || p.tax_status || 'taxable',
+    packSize: p.pack_size || p.packSize || null,
+    supplier: p.supplier || null,
+    source,
+  };
+}
@@ -0,0 +1,29 @@
+// /api/_lib/catalogue/wordpress.js
+// The At Trade Price WordPress product search.
+
+import { toProductOption } from './product.js';
+
+const DEFAULT_SEARCH_URL = 'https://attradeprice.co.uk/wp-json/atp/v1/search-products';
+
+export function createWordPressCatalogue({ url = DEFAULT_SEARCH_URL } = {}) {
+  return {
+    name: 'wordpress',
+
+    // --- Helper to call your intelligent WordPress API ---
+    async search(query) {
+      const searchUrl = `${url}?q=${encodeURIComponent(query)}`;
+      try {
+        const res = await fetch(searchUrl);
+        if (!res.ok) {
+          console.error('WP search failed:', res.status, await res.text());
+          return [];
+        }
+        const products = await res.json();
+        return products.map(p => toProductOption({ supplier: 'At Trade Price', ...p }, 'wordpress'));
+      } catch (err) {
+        console.error('Error fetching WP API:', err);
+        return [];
+      }
+    },
+  };
+}
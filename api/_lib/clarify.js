@@ -0,0 +1,113 @@
+// /api/_lib/clarify.js
+// The optional first pass: the model reads the job description and asks the
+// few questions whose answers would change the quote most. Answers go back
+// into the plan prompt and are stored on the quote as its assumptions.
+
+import { extractJson } from './plan.js';
+
+export const MAX_QUESTIONS = 6;
+const QUESTION_TYPES = ['choice', 'text', 'number'];
+
+const slugify = (text) =>
+  String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+
+function buildClarifyPrompt(desc) {
+  return `
+You are a UK-based quantity surveyor reviewing an enquiry before pricing it:
+"${desc}"
+
+List up to ${MAX_QUESTIONS} short questions whose answers would change the materials, quantities or labour
+the most, e.g. surface material, sub-base depth, drainage, access, removal of spoil or existing structures.
+Skip anything the description already answers.
+
+Your output must be a single JSON object only:
+{
+  "questions": [
+    { "id": "kebab-case-id", "question": "string", "type": "choice | text | number", "options": [ "string" ], "unit": "string" }
+  ]
+}
+
+Use "choice" with 2-5 options where the answers are predictable, "number" with a unit for measurements,
+and "text" otherwise. Do not include explanations outside the JSON object.
+  `.trim();
+}
+
+/**
+ * Checks the model's questions. Malformed entries are dropped with a warning
+ * rather than failing, since the step is optional.
+ */
+export function validateQuestions(value) {
+  const warnings = [];
+  const list = Array.isArray(value?.questions) ? value.questions : [];
+  if (!Array.isArray(value?.questions)) {
+    warnings.push({ path: 'questions', message: 'Response did not include a list of questions' });
+  }
+
+  const seen = new Set();
+  const questions = [];
+  list.forEach((item, i) => {
+    const question = typeof item?.question === 'string' ? item.question.trim() : '';
+    if (!question) {
+      warnings.push({ path: `questions[${i}]`, message: 'Dropped a question without any text' });
+      return;
+    }
+
+    let id = slugify(item.id || question) || `question-${i + 1}`;
+    while (seen.has(id)) id = `${id}-${i + 1}`;
+    seen.add(id);
+
+    const options = Array.isArray(item.options)
+      ? item.options.map(o => String(o).trim()).filter(Boolean)
+      : [];
+    let type = QUESTION_TYPES.includes(item.type) ? item.type : 'text';
+    if (type === 'choice' && options.length < 2) type = 'text';
+
+    questions.push({
+      id,
+      question,
+      type,
+      ...(type === 'choice' && { options }),
+      ...(type === 'number' && item.unit && { unit: String(item.unit).trim() }),
+    });
+  });
+
+  if (questions.length > MAX_QUESTIONS) {
+    warnings.push({ path: 'questions', message: `Kept the first ${MAX_QUESTIONS} questions` });
+  }
+  return { questions: questions.slice(0, MAX_QUESTIONS), warnings };
+}
+
+/**
+ * Asks the model for clarifying questions. Resolves to { questions, warnings }.
+ */
+export async function generateClarifyingQuestions(desc, llm) {
+  const raw = await llm.generate(buildClarifyPrompt(desc), { task: 'clarify', subject: desc });
+  const { value, error } = extractJson(raw);
+  if (error) return { questions: [], warnings: [error] };
+  return validateQuestions(value);
+}
+
+/**
+ * Cleans answers sent by the client into [{ id, question, answer }], keeping
+ * only the ones the user actually filled in.
+ */
+export function normaliseAnswers(answers) {
+  if (!Array.isArray(answers)) return [];
+  return answers
+    .filter(a => a && typeof a.question === 'string')
+    .map(a => ({
+      id: String(a.id || slugify(a.question)),
+      question: a.question.trim(),
+      answer: String(a.answer ?? '').trim(),
+    }))
+    .filter(a => a.question && a.answer);
+}
+
+/**
+ * The block of confirmed details appended to the plan prompt.
+ */
+export function formatAnswersForPrompt(answers) {
+  if (!answers.length) return '';
+  const lines = answers.map(a => `- ${a.question} ${a.answer}`).join('\n');
+  return `The customer has confirmed these details. Treat them as fixed requirements and do not contradict them:\n${lines}`;
+}
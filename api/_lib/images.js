@@ -0,0 +1,68 @@
+// /api/_lib/images.js
+// Site photos and sketches sent with a job. The model reads them into a typed
+// job description that the user can review before a plan is generated.
+
+import { MAX_IMAGES } from '../../src/lib/images.js';
+
+// Keeps the request under the serverless body limit once base64 encoded
+const MAX_TOTAL_BYTES = 4 * 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Accepts images as data URLs or { mimeType, data } with base64 data.
+ * Returns { images, errors } with images in the { mimeType, data } shape the
+ * providers take.
+ */
+export function normaliseImages(input) {
+  if (input === undefined || input === null) return { images: [], errors: [] };
+  if (!Array.isArray(input)) {
+    return { images: [], errors: [{ path: 'images', message: 'Must be an array of images' }] };
+  }
+  if (input.length > MAX_IMAGES) {
+    return { images: [], errors: [{ path: 'images', message: `Send at most ${MAX_IMAGES} images` }] };
+  }
+
+  const errors = [];
+  const images = [];
+  input.forEach((item, i) => {
+    const dataUrl = typeof item === 'string' ? item.match(/^data:([^;]+);base64,(.+)$/) : null;
+    const mimeType = dataUrl ? dataUrl[1] : item?.mimeType;
+    const data = dataUrl ? dataUrl[2] : item?.data;
+
+    if (!IMAGE_TYPES.includes(mimeType)) {
+      errors.push({ path: `images[${i}]`, message: `Unsupported image type "${mimeType}"` });
+    } else if (typeof data !== 'string' || !data) {
+      errors.push({ path: `images[${i}]`, message: 'Missing base64 image data' });
+    } else {
+      images.push({ mimeType, data });
+    }
+  });
+
+  const bytes = images.reduce((sum, image) => sum + image.data.length * 0.75, 0);
+  if (bytes > MAX_TOTAL_BYTES) {
+    errors.push({ path: 'images', message: 'Images are too large; send fewer or smaller images' });
+  }
+
+  return { images, errors };
+}
+
+/**
+ * Has the model describe the job shown in the images, using any typed notes
+ * as context. Resolves to the description text.
+ */
+export async function describeImages(images, llm, { notes = '' } = {}) {
+  const prompt = `
+You are a UK-based quantity surveyor preparing to price a job from the attached site photos and/or sketched plans.
+${notes ? `\nThe customer's notes: "${notes}"\n` : ''}
+Write a plain-text job description a planner could price from, covering:
+- the work to be done,
+- dimensions and areas, quoting any measurements written on drawings and marking estimates as "approx.",
+- surfaces and materials visible, and existing conditions (levels, drainage, obstructions, condition of existing work),
+- access and anything that needs removing.
+
+Do not invent measurements you cannot see or reasonably estimate. Reply with the description only.
+  `.trim();
+
+  const text = await llm.generate(prompt, { task: 'describe-images', subject: notes, images });
+  return text.trim();
+}
@@ -0,0 +1,154 @@
+// /api/_lib/invoices.js
+// Invoices raised against saved quotes, numbered INV-0001, INV-0002, ... in
+// their own sequence. Each invoice keeps a snapshot of the quote it was raised
+// from, so reprinting it gives the same document after the quote changes.
+// The amounts are worked out by src/lib/invoices.js.
+
+import { getStore } from './storage/index.js';
+import { getQuote } from './quotes.js';
+import { calculateQuoteTotals } from '../../src/lib/totals.js';
+import {
+  DEFAULT_DUE_DAYS,
+  calculateBalanceAmounts,
+  calculatePercentAmounts,
+  getInvoicedPercent,
+} from '../../src/lib/invoices.js';
+
+const invoices = () => getStore('invoices');
+const counters = () => getStore('counters');
+
+// Thrown when an invoice can't be raised; `status` is the HTTP status to use
+export class InvoiceError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+const invoiceNumber = (value) => `INV-${String(value).padStart(4, '0')}`;
+
+// Saves a new invoice under the next free number. Numbers are claimed by
+// creating the invoice, which fails if the number is taken, so two invoices
+// raised at once can't share a number; the counter is only where to start.
+async function saveWithNextNumber(invoice) {
+  const counter = await counters().get('invoice');
+  for (let value = (counter?.value || 0) + 1; ; value++) {
+    const saved = await invoices().create({ id: invoiceNumber(value), ...invoice });
+    if (saved) {
+      const latest = await counters().get('invoice');
+      if ((latest?.value || 0) < value) {
+        await counters().put({ id: 'invoice', value, updatedAt: new Date().toISOString() });
+      }
+      return saved;
+    }
+  }
+}
+
+// Invoices follow the version the customer accepted, if they accepted one online
+const invoiceableQuote = (record) =>
+  (record.response?.decision === 'accept' && record.share?.quote) || record.quote;
+
+// Everything but the quote snapshot, for lists
+function summarise(invoice) {
+  const summary = { ...invoice };
+  delete summary.quote;
+  return summary;
+}
+
+const addDays = (date, days) => {
+  const next = new Date(date.getTime());
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+export async function listInvoices(quoteId) {
+  const { items } = await invoices().list({ search: quoteId, limit: 1000 });
+  return items
+    .filter(inv => inv.quoteId === quoteId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(summarise);
+}
+
+export async function getInvoice(id) {
+  return invoices().get(id);
+}
+
+/**
+ * Raises the next invoice for a saved quote:
+ *   { type: 'deposit' | 'interim', percent, description } a share of the quote
+ *   { type: 'final' }                                     the balance after earlier invoices
+ * Returns null if the quote doesn't exist; throws InvoiceError when the
+ * invoice would over-bill the quote.
+ */
+export async function createInvoice(quoteId, { type, percent, description = '', dueDays = DEFAULT_DUE_DAYS }) {
+  const record = await getQuote(quoteId);
+  if (!record) return null;
+
+  const previous = await listInvoices(record.id);
+  if (previous.some(inv => inv.type === 'final')) {
+    throw new InvoiceError('The final invoice for this quote has already been raised', 409);
+  }
+
+  const quote = invoiceableQuote(record);
+  const totals = calculateQuoteTotals(quote);
+  let amounts;
+  let label;
+
+  if (type === 'final') {
+    amounts = calculateBalanceAmounts(totals, previous);
+    label = 'Final balance';
+    if (amounts.total < 0) {
+      throw new InvoiceError('Earlier invoices already exceed the quote total', 409);
+    }
+  } else {
+    const covered = getInvoicedPercent(previous);
+    if (covered + percent >= 100) {
+      throw new InvoiceError(
+        `Earlier invoices cover ${covered}% of the quote, so this would leave nothing for the final invoice`,
+        409
+      );
+    }
+    amounts = calculatePercentAmounts(totals, percent);
+    const stage = previous.filter(inv => inv.type === 'interim').length + 1;
+    label = type === 'deposit'
+      ? `Deposit (${percent}%)`
+      : `${String(description).trim() || `Stage payment ${stage}`} (${percent}%)`;
+  }
+
+  const now = new Date();
+  return saveWithNextNumber({
+    quoteId: record.id,
+    quoteRevision: quote.customerQuote?.revision || null,
+    type,
+    percent: type === 'final' ? null : percent,
+    label,
+    date: now.toLocaleDateString('en-GB'),
+    dueDate: addDays(now, dueDays).toLocaleDateString('en-GB'),
+    amounts,
+    // What the final invoice deducts
+    previous: type === 'final'
+      ? previous.map(inv => ({ id: inv.id, label: inv.label, total: inv.amounts.total, paid: inv.status === 'paid' }))
+      : [],
+    status: 'issued',
+    paidAt: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    quote,
+  });
+}
+
+/**
+ * Marks an invoice as paid, or back to unpaid. Returns null if it doesn't exist.
+ */
+export async function setInvoicePaid(id, paid) {
+  const existing = await invoices().get(id);
+  if (!existing) return null;
+  const now = new Date().toISOString();
+  return invoices().put({
+    ...existing,
+    updatedAt: now,
+    status: paid ? 'paid' : 'issued',
+    paidAt: paid ? existing.paidAt || now : null,
+  });
+}
@@ -0,0 +1,20 @@
+// /api/_lib/llm/gemini.js
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export function createGeminiProvider({ apiKey, model }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt, { images = [] } = {}) {
+      const parts = [
+        prompt,
+        ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+      ];
+      const result = await genAI.getGenerativeModel({ model }).generateContent(parts);
+      return result.response.text();
+    },
+  };
+}
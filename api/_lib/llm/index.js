@@ -0,0 +1,38 @@
+// /api/_lib/llm/index.js
+// Picks the language model provider from the environment:
+//   LLM_PROVIDER=gemini (default) uses GOOGLE_API_KEY (or VITE_GOOGLE_API_KEY)
+//   LLM_PROVIDER=openai uses OPENAI_BASE_URL and OPENAI_API_KEY, for OpenAI or a local model
+//   LLM_PROVIDER=mock   returns canned fixture responses with no network access
+// LLM_MODEL overrides the provider's default model.
+//
+// Every provider exposes generate(prompt, { task, subject, images }) and resolves
+// to the raw text of the response. `task` names the call site (e.g. "plan") and
+// `subject` is the job description; the mock uses both to pick its answer.
+
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDERS = {
+  gemini: () =>
+    createGeminiProvider({
+      apiKey: process.env.GOOGLE_API_KEY || process.env.VITE_GOOGLE_API_KEY,
+      model: process.env.LLM_MODEL || 'gemini-1.5-flash',
+    }),
+  openai: () =>
+    createOpenAIProvider({
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    }),
+  mock: () => createMockProvider(),
+};
+
+export function getProvider() {
+  const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return create();
+}
@@ -0,0 +1,69 @@
+// /api/_lib/llm/mock.js
+// Offline provider for development and tests. Returns canned responses from the
+// JSON fixtures next to this file, so the same prompt always gets the same answer.
+//
+// Each fixture has `keywords` matched against the call's `subject` (the job
+// description), plus one entry per task it can answer (e.g. `projectType`,
+// `plan`). The fixture with the most keyword hits wins; `default.json` is used
+// when nothing matches.
+
+import { readdirSync, readFileSync } from 'node:fs';
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+
+// Which fixture field answers each task
+const TASK_FIELDS = {
+  'project-type': 'projectType',
+  clarify: 'clarify',
+  'describe-images': 'imageDescription',
+  alternatives: 'alternatives',
+  'repair-alternatives': 'alternatives',
+  refine: 'refine',
+  'repair-refine': 'refine',
+  plan: 'plan',
+  repair: 'plan',
+};
+
+let fixtures;
+
+function loadFixtures() {
+  if (!fixtures) {
+    fixtures = readdirSync(FIXTURES_DIR)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => ({ name, ...JSON.parse(readFileSync(new URL(name, FIXTURES_DIR), 'utf8')) }));
+  }
+  return fixtures;
+}
+
+function pickFixture(subject) {
+  const text = subject.toLowerCase();
+  let best = null;
+  let bestScore = 0;
+
+  loadFixtures().forEach(fixture => {
+    const score = (fixture.keywords || []).filter(k => text.includes(k.toLowerCase())).length;
+    if (score > bestScore) {
+      best = fixture;
+      bestScore = score;
+    }
+  });
+
+  return best || loadFixtures().find(f => f.name === 'default.json');
+}
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'fixtures',
+    async generate(prompt, { task, subject = prompt } = {}) {
+      const field = TASK_FIELDS[task];
+      const fixture = pickFixture(String(subject));
+      const answer = field && fixture?.[field];
+      if (answer === undefined) {
+        throw new Error(`Mock LLM has no fixture for task "${task}"`);
+      }
+      return typeof answer === 'string' ? answer : JSON.stringify(answer, null, 2);
+    },
+  };
+}
@@ -0,0 +1,38 @@
+// /api/_lib/llm/openai.js
+// Any OpenAI-compatible chat completions endpoint: OpenAI itself, or a local
+// model served by Ollama, LM Studio, llama.cpp, vLLM and similar.
+
+export function createOpenAIProvider({ baseUrl, apiKey, model }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+    async generate(prompt, { images = [] } = {}) {
+      const content = images.length
+        ? [
+            { type: 'text', text: prompt },
+            ...images.map(image => ({
+              type: 'image_url',
+              image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+            })),
+          ]
+        : prompt;
+
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model, messages: [{ role: 'user', content }] }),
+      });
+
+      if (!res.ok) {
+        throw new Error(`LLM request failed (${res.status}): ${await res.text()}`);
+      }
+      const data = await res.json();
+      return data.choices?.[0]?.message?.content || '';
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// /api/_lib/matching.js
+// Matches plan materials to catalogue products. Lookups run concurrently and
+// results are cached by normalised material name, so repeat terms like
+// "sharp sand" don't hit the catalogue again while the cache is fresh.
+//   CATALOGUE_CONCURRENCY       lookups in flight at once (default 5)
+//   CATALOGUE_CACHE_TTL_SECONDS how long results are reused (default 600)
+
+import { createTtlCache } from './cache.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { createManualOption } from '../../src/lib/materials.js';
+
+const cache = createTtlCache({
+  ttlMs: (Number(process.env.CATALOGUE_CACHE_TTL_SECONDS) || 600) * 1000,
+});
+
+const normaliseName = (name) =>
+  String(name).toLowerCase().replace(/[^a-z0-9.]+/g, ' ').trim();
+
+/**
+ * Searches the catalogue, reusing cached results. Resolves to { results, cached }.
+ */
+export async function cachedSearch(catalogue, query, { limit } = {}) {
+  const key = `${catalogue.name}:${limit || ''}:${normaliseName(query)}`;
+  const hit = cache.get(key);
+  if (hit) return { results: hit, cached: true };
+
+  const results = await catalogue.search(query, { limit });
+  // Failed lookups come back empty; don't keep those around
+  if (results.length) cache.set(key, results);
+  return { results, cached: false };
+}
+
+/**
+ * Attaches product options to each material and pre-selects the best match.
+ * Resolves to { materials, lookups } where each lookup records how long it took.
+ * `onMatch(material, { index, done, total })` is called as each lookup finishes,
+ * where `index` is the material's position in the list. `idPrefix` keeps ids
+ * unique when several lists end up in one quote.
+ */
+export async function matchMaterials(materials, catalogue, { onMatch, idPrefix = '' } = {}) {
+  const named = materials
+    .map(mat => ({ ...mat, name: (mat.name || '').trim() }))
+    .filter(mat => mat.name);
+  const concurrency = Number(process.env.CATALOGUE_CONCURRENCY) || 5;
+  const lookups = new Array(named.length);
+  let done = 0;
+
+  const matched = await mapWithConcurrency(named, concurrency, async (mat, index) => {
+    const started = Date.now();
+    const { results, cached } = await cachedSearch(catalogue, mat.name);
+    lookups[index] = { material: mat.name, ms: Date.now() - started, cached, results: results.length };
+
+    // Pre-select the best match so the materials list is priced straight away
+    const bestMatch = results[0];
+    const options = [createManualOption(mat.name), ...results];
+
+    const material = {
+      ...mat,
+      id: `${idPrefix}mat-${index + 1}`,
+      options,
+      selectedProductId: bestMatch ? bestMatch.id : options[0].id,
+      unitPrice: bestMatch?.tradePrice ?? 0,
+    };
+
+    done++;
+    if (onMatch) onMatch(material, { index, done, total: named.length });
+    return material;
+  });
+
+  return { materials: matched, lookups };
+}
@@ -0,0 +1,25 @@
+// /api/_lib/pdf/index.js
+// PDF documents: the renderer, document builders and a helper for responses.
+
+export { renderPdf } from './render.js';
+export { buildQuoteDocument } from './quote.js';
+export { buildInvoiceDocument } from './invoice.js';
+export { buildPurchaseOrderDocument } from './purchaseOrder.js';
+export { isTemplate } from './templates.js';
+
+// File names come from quote, invoice and order numbers; keep them header-safe
+const safeFilename = (name) => String(name || 'document').replace(/[^A-Za-z0-9._-]+/g, '-');
+
+/**
+ * Sends a rendered PDF. `download: true` asks the browser to save it rather
+ * than open it.
+ */
+export function sendPdf(res, pdf, { filename, download = false } = {}) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', pdf.length);
+  res.setHeader(
+    'Content-Disposition',
+    `${download ? 'attachment' : 'inline'}; filename="${safeFilename(filename)}.pdf"`
+  );
+  return res.status(200).send(pdf);
+}
@@ -0,0 +1,92 @@
+// /api/_lib/pdf/invoice.js
+// The document model for an invoice (see render.js). Deposits and stage
+// payments are a single line against the quote; the final invoice repeats the
+// quote's line items and deducts the earlier invoices.
+
+import { calculateQuoteTotals } from '../../../src/lib/totals.js';
+import { REVERSE_CHARGE_NOTE } from '../../../src/lib/vat.js';
+import { getQuoteTerms } from '../../../src/lib/terms.js';
+import { buildSectionLines, buildTotalRows, vatLabel } from './quote.js';
+
+const formatPrice = (value) => `£${(Number(value) || 0).toFixed(2)}`;
+
+function balanceRows(invoice, quote) {
+  const rows = buildTotalRows(calculateQuoteTotals(quote), { totalLabel: 'Contract total (inc. VAT)' });
+  return [
+    ...rows.map(row => ({ ...row, strong: false })),
+    ...invoice.previous.map((prev, i) => ({
+      label: `Less ${prev.id}: ${prev.label}${prev.paid ? ' (paid)' : ''}`,
+      amount: -prev.total,
+      rule: i === 0,
+    })),
+    { label: 'Balance due (inc. VAT)', amount: invoice.amounts.total, rule: true, strong: true },
+  ];
+}
+
+function percentRows(invoice) {
+  return [
+    { label: 'Subtotal (ex. VAT)', amount: invoice.amounts.net },
+    ...invoice.amounts.vatLines.map(line => ({
+      label: vatLabel(line),
+      amount: line.reverseCharge ? null : line.vat,
+      note: line.reverseCharge ? 'Not charged' : '',
+    })),
+    { label: 'Amount due (inc. VAT)', amount: invoice.amounts.total, rule: true, strong: true },
+  ];
+}
+
+/**
+ * Everything the renderer needs for an invoice PDF.
+ */
+export function buildInvoiceDocument(invoice) {
+  const { quote } = invoice;
+  const cq = quote.customerQuote || {};
+  const quoteRef = [cq.quoteNumber, invoice.quoteRevision && `Revision ${invoice.quoteRevision}`].filter(Boolean).join(' ');
+  const isFinal = invoice.type === 'final';
+  const sections = isFinal ? buildSectionLines(quote) : [];
+
+  const notes = [];
+  if (isFinal && invoice.previous.length) {
+    notes.push(`VAT on this invoice: ${formatPrice(invoice.amounts.vat)} on ${formatPrice(invoice.amounts.net)}.`);
+  }
+  if (invoice.amounts.reverseChargeVat > 0) {
+    notes.push(`${REVERSE_CHARGE_NOTE} VAT to be accounted for by the customer: ${formatPrice(invoice.amounts.reverseChargeVat)}.`);
+  }
+
+  return {
+    kind: 'Invoice',
+    reference: invoice.id,
+    meta: [
+      ['Date', invoice.date],
+      ['Due', invoice.dueDate],
+      ['Quote', quoteRef],
+      ...(invoice.status === 'paid' ? [['Paid', new Date(invoice.paidAt).toLocaleDateString('en-GB')]] : []),
+    ].filter(([, value]) => value),
+    logo: cq.logo,
+    company: cq.company || {},
+    customer: cq.customer || {},
+    recipientLabel: 'Invoice to',
+    description: cq.projectDescription || '',
+    assumptions: [],
+    sections: isFinal
+      ? (sections.length > 1 ? sections : sections.map(s => ({ ...s, name: '' })))
+      : [{
+        name: '',
+        lines: [{
+          description: invoice.label,
+          detail: `Against ${quoteRef}`,
+          quantity: '1',
+          unitPrice: invoice.amounts.net,
+          amount: invoice.amounts.net,
+        }],
+      }],
+    options: [],
+    totals: isFinal ? balanceRows(invoice, quote) : percentRows(invoice),
+    notes,
+    terms: [
+      ['Payment terms', getQuoteTerms(cq).paymentTerms],
+      ['Payment due', `Please pay by ${invoice.dueDate}, quoting ${invoice.id}.`],
+    ],
+    signature: false,
+  };
+}
@@ -0,0 +1,53 @@
+// /api/_lib/pdf/purchaseOrder.js
+// The document model for one supplier's purchase order (see render.js), from
+// an order built by src/lib/purchaseOrders.js.
+
+const plural = (quantity, word) => `${quantity} ${word}${quantity === 1 ? '' : 's'}`;
+
+function orderLine(line) {
+  return {
+    description: line.name,
+    detail: [
+      line.sku && `Code ${line.sku}`,
+      line.packSize && `Pack of ${line.packSize}`,
+      `For ${line.materials.join(', ')}`,
+    ].filter(Boolean).join(' · '),
+    quantity: plural(line.packs, 'pack'),
+    unitPrice: line.unitPrice,
+    amount: line.amount,
+  };
+}
+
+/**
+ * Everything the renderer needs for a purchase order PDF.
+ */
+export function buildPurchaseOrderDocument(order, { quote, deliverTo, requiredBy }) {
+  const cq = quote.customerQuote || {};
+  const address = [deliverTo.name, deliverTo.address].filter(Boolean).join('\n');
+
+  return {
+    kind: 'Purchase order',
+    reference: order.number,
+    meta: [
+      ['Date', new Date().toLocaleDateString('en-GB')],
+      ['Required by', requiredBy],
+      ['Quote', cq.quoteNumber],
+    ].filter(([, value]) => value),
+    logo: cq.logo,
+    company: cq.company || {},
+    customer: { name: order.supplier, address: '' },
+    recipientLabel: 'Supplier',
+    description: '',
+    assumptions: [],
+    sections: [{ name: '', lines: order.lines.map(orderLine) }],
+    options: [],
+    totals: [{ label: 'Order total (ex. VAT)', amount: order.total, rule: true, strong: true }],
+    notes: ['Prices are as agreed and exclude VAT.'],
+    terms: [
+      ['Deliver to', address],
+      ['Required by', requiredBy && `Please deliver by ${requiredBy}, or let us know as soon as possible if you can't.`],
+      ['Reference', `Please quote ${order.number} on your delivery note and invoice.`],
+    ],
+    signature: false,
+  };
+}
@@ -0,0 +1,135 @@
+// /api/_lib/pdf/quote.js
+// Turns a quote into the document model the PDF renderer lays out (see
+// render.js): parties, line items grouped by section, totals and terms.
+
+import { getMaterialLine } from '../../../src/lib/materials.js';
+import { LABOUR_UNITS, getLabourLineTotal } from '../../../src/lib/labour.js';
+import { calculateQuoteTotals } from '../../../src/lib/totals.js';
+import { REVERSE_CHARGE_NOTE } from '../../../src/lib/vat.js';
+import { formatDate, getQuoteTerms } from '../../../src/lib/terms.js';
+import { getQuoteSections, getSectionItems } from '../../../src/lib/sections.js';
+import { getSectionAlternatives } from '../../../src/lib/alternatives.js';
+
+const formatRate = (rate) => `${Number(rate.toFixed(2))}%`;
+
+const plural = (quantity, word) => `${quantity} ${word}${quantity === 1 ? '' : 's'}`;
+
+function labourUnit(unit, quantity) {
+  const label = LABOUR_UNITS.find(u => u.id === unit)?.label.toLowerCase() || unit;
+  return `${quantity} ${quantity === 1 ? label.replace(/s$/, '') : label}`;
+}
+
+function materialLine(material) {
+  const line = getMaterialLine(material);
+  // The manual placeholder isn't a product; describe the material instead
+  const product = line.option && !String(line.option.id).startsWith('manual-') ? line.option.name : '';
+  return {
+    description: product || material.name,
+    detail: product && product !== material.name ? material.name : '',
+    quantity: plural(line.packs, 'pack'),
+    unitPrice: line.unitPrice,
+    amount: line.lineTotal,
+  };
+}
+
+function labourLine(item) {
+  return {
+    description: [item.trade, item.phase].filter(Boolean).join(' – '),
+    detail: '',
+    quantity: labourUnit(item.unit, Number(item.quantity) || 0),
+    unitPrice: Number(item.rate) || 0,
+    amount: getLabourLineTotal(item),
+  };
+}
+
+export function vatLabel(line) {
+  const net = `£${line.net.toFixed(2)}`;
+  if (line.reverseCharge) return `${line.label} (${formatRate(line.rate)} on ${net})`;
+  if (line.rate === 0) return `${line.label} (${net})`;
+  if (line.treatment === 'standard') return `VAT @ ${formatRate(line.rate)} on ${net}`;
+  return `${line.label}, VAT @ ${formatRate(line.rate)} on ${net}`;
+}
+
+/**
+ * Rows for the totals block, shared with invoices: [{ label, amount, note, strong }].
+ */
+export function buildTotalRows(totals, { totalLabel = 'Total (inc. VAT)' } = {}) {
+  return [
+    { label: 'Materials', amount: totals.materials - totals.wasteAllowance },
+    ...(totals.wasteAllowance > 0
+      ? [{ label: 'Waste & breakage allowance', amount: totals.wasteAllowance }]
+      : []),
+    { label: 'Labour', amount: totals.labour },
+    { label: 'Subtotal (ex. VAT)', amount: totals.net, rule: true },
+    ...totals.vatLines.map(line => ({
+      label: vatLabel(line),
+      amount: line.reverseCharge ? null : line.vat,
+      note: line.reverseCharge ? 'Not charged' : '',
+    })),
+    { label: totalLabel, amount: totals.total, rule: true, strong: true },
+  ];
+}
+
+/**
+ * The line items for each section of a quote: [{ name, lines }].
+ */
+export function buildSectionLines(quote) {
+  return getQuoteSections(quote).map(section => {
+    const { materials, labour } = getSectionItems(quote, section.id);
+    return {
+      name: section.name,
+      lines: [...materials.map(materialLine), ...labour.map(labourLine)],
+    };
+  });
+}
+
+/**
+ * Everything the renderer needs for a quote PDF.
+ */
+export function buildQuoteDocument(quote) {
+  const cq = quote.customerQuote || {};
+  const totals = calculateQuoteTotals(quote);
+  const terms = getQuoteTerms(cq);
+  const sections = buildSectionLines(quote);
+
+  const options = getQuoteSections(quote)
+    .map(section => ({ section, alternatives: getSectionAlternatives(quote, section.id) }))
+    .filter(({ alternatives }) => alternatives.length > 0)
+    .map(({ section, alternatives }) => ({
+      title: sections.length > 1 ? `Options for ${section.name}` : 'Options',
+      items: alternatives.map(alt => ({
+        label: `${alt.selected ? '(selected) ' : ''}${alt.name}`,
+        detail: alt.summary,
+        amount: alt.totals.total,
+      })),
+    }));
+
+  return {
+    kind: 'Quote',
+    reference: [cq.quoteNumber, cq.revision && `Revision ${cq.revision}`].filter(Boolean).join(' – '),
+    meta: [
+      ['Date', cq.date],
+      ['Valid until', formatDate(terms.validUntil)],
+    ].filter(([, value]) => value),
+    logo: cq.logo,
+    company: cq.company || {},
+    customer: cq.customer || {},
+    recipientLabel: 'Quote for',
+    description: cq.projectDescription || 'This quote outlines the work to be carried out based on your request.',
+    assumptions: (quote.clarifications || []).map(c => `${c.question} ${c.answer}`),
+    // Headings only help when there's more than one piece of work
+    sections: sections.length > 1 ? sections : sections.map(s => ({ ...s, name: '' })),
+    options,
+    totals: buildTotalRows(totals, { totalLabel: sections.length > 1 ? 'Grand total (inc. VAT)' : 'Total (inc. VAT)' }),
+    notes: [
+      ...(totals.reverseChargeVat > 0
+        ? [`${REVERSE_CHARGE_NOTE} VAT to be accounted for by the customer: £${totals.reverseChargeVat.toFixed(2)}.`]
+        : []),
+    ],
+    terms: [
+      ['Payment terms', terms.paymentTerms],
+      ['Validity', `This quote is valid for ${terms.validityDays} days${terms.validUntil ? `, until ${formatDate(terms.validUntil)}` : ''}. Labour rates and product costs are estimates unless otherwise agreed.`],
+    ],
+    signature: true,
+  };
+}
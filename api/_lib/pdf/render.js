@@ -0,0 +1,333 @@
+// /api/_lib/pdf/render.js
+// Lays out a quote or invoice as a vector A4 PDF with pdfkit. The document
+// model comes from quote.js (or the invoice equivalent):
+//   { kind, reference, meta: [[label, value]], logo, company, customer,
+//     recipientLabel, description, assumptions, sections: [{ name, lines }],
+//     options, totals, notes, terms: [[heading, text]], signature }
+// Rows are never split across pages, and the table header repeats after a
+// page break.
+
+import PDFDocument from 'pdfkit';
+import { getTemplate } from './templates.js';
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const CELL_PADDING = 5;
+
+// Deductions on final invoices are negative. The standard fonts have no
+// minus sign, so a hyphen stands in.
+const formatPrice = (value) => {
+  const amount = Number(value) || 0;
+  return `${amount < 0 ? '-' : ''}£${Math.abs(amount).toFixed(2)}`;
+};
+
+// Column widths as fractions of the content width
+const COLUMNS = [
+  { key: 'description', label: 'Description', width: 0.5, align: 'left' },
+  { key: 'quantity', label: 'Quantity', width: 0.16, align: 'right' },
+  { key: 'unitPrice', label: 'Unit price', width: 0.16, align: 'right', price: true },
+  { key: 'amount', label: 'Amount', width: 0.18, align: 'right', price: true },
+];
+
+function createLayout(doc, style) {
+  const left = MARGIN;
+  const width = doc.page.width - MARGIN * 2;
+  const bottom = () => doc.page.height - MARGIN - FOOTER_HEIGHT;
+
+  const font = (bold, size) => doc.font(bold ? style.bold : style.font).fontSize(size);
+
+  // Starts a new page when the next block wouldn't fit; returns true if it did
+  const ensureSpace = (height) => {
+    if (doc.y + height <= bottom()) return false;
+    doc.addPage();
+    return true;
+  };
+
+  const rule = (colour = style.rule, weight = 0.75) => {
+    doc.save().moveTo(left, doc.y).lineTo(left + width, doc.y)
+      .lineWidth(weight).strokeColor(colour).stroke().restore();
+  };
+
+  const heading = (text) => {
+    ensureSpace(40);
+    doc.moveDown(0.8);
+    font(true, 11).fillColor(style.accent).text(text, left, doc.y, { width });
+    doc.moveDown(0.3);
+    font(false, 10).fillColor(style.text);
+  };
+
+  return { left, width, bottom, font, ensureSpace, rule, heading };
+}
+
+function drawLogo(doc, logo, x, y) {
+  // pdfkit reads PNG and JPEG; anything else is left off rather than failing the PDF
+  if (!/^data:image\/(png|jpe?g);base64,/i.test(String(logo || ''))) return 0;
+  try {
+    doc.image(logo, x, y, { fit: [150, 60] });
+    return 60;
+  } catch (err) {
+    console.warn('Skipping unreadable logo in PDF:', err.message);
+    return 0;
+  }
+}
+
+function drawHeader(doc, model, style, layout) {
+  const { left, width, font } = layout;
+  const top = doc.y;
+  const logoHeight = drawLogo(doc, model.logo, left, top);
+
+  const company = model.company || {};
+  font(true, 14).fillColor(style.accent).text(company.name || '', left + width / 2, top, { width: width / 2, align: 'right' });
+  font(false, 9).fillColor(style.muted).text(company.address || '', { width: width / 2, align: 'right' });
+
+  doc.y = Math.max(doc.y, top + logoHeight) + 20;
+
+  // Document title and reference
+  if (style.titleBand) {
+    const bandTop = doc.y;
+    doc.save().rect(0, bandTop, doc.page.width, 36).fill(style.accent).restore();
+    font(true, 18).fillColor('#ffffff').text(model.kind.toUpperCase(), left, bandTop + 9, { width: width / 2 });
+    font(false, 11).fillColor('#ffffff').text(model.reference || '', left + width / 2, bandTop + 13, { width: width / 2, align: 'right' });
+    doc.y = bandTop + 36;
+  } else {
+    const titleTop = doc.y;
+    font(true, 22).fillColor(style.accent).text(model.kind, left, titleTop, { width: width / 2 });
+    const titleBottom = doc.y;
+    font(false, 11).fillColor(style.text).text(model.reference || '', left + width / 2, titleTop + 9, { width: width / 2, align: 'right' });
+    doc.y = titleBottom + 4;
+    layout.rule();
+  }
+  doc.moveDown(1);
+
+  // Customer on the left, dates on the right
+  const blockTop = doc.y;
+  const customer = model.customer || {};
+  font(true, 10).fillColor(style.muted).text(model.recipientLabel || 'For', left, blockTop, { width: width / 2 });
+  font(true, 11).fillColor(style.text).text(customer.name || '', { width: width / 2 });
+  font(false, 10).text(customer.address || '', { width: width / 2 });
+  const customerBottom = doc.y;
+
+  doc.y = blockTop;
+  (model.meta || []).forEach(([label, value]) => {
+    const rowTop = doc.y;
+    font(false, 10).fillColor(style.muted).text(`${label}:`, left + width / 2, rowTop, { width: width * 0.15, align: 'right' });
+    font(true, 10).fillColor(style.text).text(value, left + width * 0.65, rowTop, { width: width * 0.35, align: 'right' });
+  });
+
+  doc.y = Math.max(doc.y, customerBottom);
+  doc.x = left;
+}
+
+function drawIntro(doc, model, style, layout) {
+  const { left, width, font, heading } = layout;
+  if (model.description) {
+    heading('Description of works');
+    font(false, 10).fillColor(style.text).text(model.description, left, doc.y, { width });
+  }
+  if (model.assumptions?.length) {
+    heading('Assumptions');
+    font(false, 10).fillColor(style.text);
+    model.assumptions.forEach(item => {
+      layout.ensureSpace(14);
+      doc.text(`•  ${item}`, left, doc.y, { width, indent: 0 });
+    });
+  }
+}
+
+function drawTable(doc, model, style, layout) {
+  const { left, width, font, ensureSpace } = layout;
+  const columns = COLUMNS.reduce((acc, col) => {
+    const x = acc.length ? acc[acc.length - 1].x + acc[acc.length - 1].w : left;
+    return [...acc, { ...col, x, w: col.width * width }];
+  }, []);
+
+  const drawHead = () => {
+    const top = doc.y;
+    if (style.tableHeaderFill) doc.save().rect(left, top, width, 20).fill(style.tableHeaderFill).restore();
+    font(true, 9).fillColor(style.tableHeaderText);
+    columns.forEach(col => {
+      doc.text(col.label, col.x + CELL_PADDING, top + 6, { width: col.w - CELL_PADDING * 2, align: col.align });
+    });
+    doc.y = top + 20;
+    if (!style.tableHeaderFill) layout.rule();
+  };
+
+  const rowHeight = (line) => {
+    font(false, 9.5);
+    const main = doc.heightOfString(line.description, { width: columns[0].w - CELL_PADDING * 2 });
+    font(false, 8);
+    const detail = line.detail ? doc.heightOfString(line.detail, { width: columns[0].w - CELL_PADDING * 2 }) : 0;
+    return main + detail + CELL_PADDING * 2;
+  };
+
+  doc.moveDown(1);
+  ensureSpace(60);
+  drawHead();
+
+  model.sections.forEach(section => {
+    if (section.name) {
+      if (ensureSpace(40)) drawHead();
+      doc.moveDown(0.4);
+      font(true, 10).fillColor(style.accent).text(section.name, left + CELL_PADDING, doc.y, { width });
+      doc.moveDown(0.2);
+    }
+    section.lines.forEach((line, i) => {
+      const height = rowHeight(line);
+      if (ensureSpace(height)) drawHead();
+      const top = doc.y;
+      if (style.stripe && i % 2 === 1) doc.save().rect(left, top, width, height).fill(style.stripe).restore();
+
+      let descriptionBottom = top;
+      columns.forEach((col, c) => {
+        const value = col.price ? formatPrice(line[col.key]) : String(line[col.key] ?? '');
+        font(false, 9.5).fillColor(style.text)
+          .text(value, col.x + CELL_PADDING, top + CELL_PADDING, { width: col.w - CELL_PADDING * 2, align: col.align });
+        if (c === 0) descriptionBottom = doc.y;
+      });
+      if (line.detail) {
+        font(false, 8).fillColor(style.muted)
+          .text(line.detail, columns[0].x + CELL_PADDING, descriptionBottom, { width: columns[0].w - CELL_PADDING * 2 });
+      }
+      doc.y = top + height;
+      doc.save().moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.25).strokeColor('#d1d5db').stroke().restore();
+    });
+  });
+  doc.x = left;
+}
+
+function drawOptions(doc, model, style, layout) {
+  const { left, width, font, heading, ensureSpace } = layout;
+  (model.options || []).forEach(group => {
+    heading(group.title);
+    group.items.forEach(item => {
+      ensureSpace(28);
+      const top = doc.y;
+      font(false, 10).fillColor(style.text).text(item.label, left, top, { width: width * 0.7 });
+      if (item.detail) font(false, 8).fillColor(style.muted).text(item.detail, { width: width * 0.7 });
+      const bottom = doc.y;
+      font(false, 10).fillColor(style.text)
+        .text(`${formatPrice(item.amount)} inc. VAT`, left + width * 0.7, top, { width: width * 0.3, align: 'right' });
+      doc.y = Math.max(bottom, doc.y) + 3;
+    });
+  });
+}
+
+function drawTotals(doc, model, style, layout) {
+  const { left, width, font, ensureSpace } = layout;
+  const blockLeft = left + width * 0.4;
+  const blockWidth = width * 0.6;
+  doc.moveDown(1);
+  ensureSpace(model.totals.length * 16 + 10);
+
+  model.totals.forEach(row => {
+    if (row.rule) {
+      doc.save().moveTo(blockLeft, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).strokeColor(style.rule).stroke().restore();
+      doc.moveDown(0.3);
+    }
+    const top = doc.y;
+    font(row.strong, row.strong ? 11 : 10).fillColor(row.strong ? style.accent : style.text);
+    doc.text(row.label, blockLeft, top, { width: blockWidth * 0.68 });
+    const labelBottom = doc.y;
+    doc.text(row.amount === null ? row.note : formatPrice(row.amount), blockLeft + blockWidth * 0.68, top, {
+      width: blockWidth * 0.32,
+      align: 'right',
+    });
+    doc.y = Math.max(labelBottom, doc.y) + 2;
+  });
+  doc.x = left;
+  if (model.notes?.length) {
+    doc.moveDown(0.8);
+    model.notes.forEach(note => {
+      ensureSpace(30);
+      font(false, 8.5).fillColor(style.text).text(note, left, doc.y, { width });
+    });
+  }
+}
+
+function drawTerms(doc, model, style, layout) {
+  const { left, width, font, heading } = layout;
+  (model.terms || []).forEach(([title, text]) => {
+    if (!text) return;
+    heading(title);
+    font(false, 9.5).fillColor(style.text).text(text, left, doc.y, { width });
+  });
+}
+
+function drawSignature(doc, model, style, layout) {
+  const { left, width, font, ensureSpace } = layout;
+  ensureSpace(150);
+  layout.heading('Acceptance');
+  font(false, 9.5).fillColor(style.text).text(
+    `To accept this ${model.kind.toLowerCase()}, please sign and date below and return a copy to ${model.company?.name || 'us'}.`,
+    left, doc.y, { width }
+  );
+  doc.moveDown(2);
+
+  const fieldWidth = (width - 30) / 2;
+  const drawField = (label, x, y) => {
+    doc.save().moveTo(x, y).lineTo(x + fieldWidth, y).lineWidth(0.75).strokeColor(style.muted).stroke().restore();
+    font(false, 8.5).fillColor(style.muted).text(label, x, y + 4, { width: fieldWidth });
+  };
+  const firstRow = doc.y + 10;
+  drawField('Signed', left, firstRow);
+  drawField('Date', left + fieldWidth + 30, firstRow);
+  const secondRow = firstRow + 45;
+  drawField('Name (in capitals)', left, secondRow);
+  drawField('Position', left + fieldWidth + 30, secondRow);
+  doc.y = secondRow + 20;
+  doc.x = left;
+}
+
+function drawFooters(doc, model, style) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing below the bottom margin would otherwise start another page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - MARGIN;
+    const width = doc.page.width - MARGIN * 2;
+    doc.font(style.font).fontSize(8).fillColor(style.muted);
+    doc.text([model.company?.name, model.reference].filter(Boolean).join(' · '), MARGIN, y, { width: width / 2, lineBreak: false });
+    doc.text(`Page ${i + 1} of ${range.count}`, MARGIN + width / 2, y, { width: width / 2, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Renders a document model as a PDF. Resolves to a Buffer.
+ */
+export function renderPdf(model, { template } = {}) {
+  const style = getTemplate(template);
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: [model.kind, model.reference].filter(Boolean).join(' '),
+      Author: model.company?.name || '',
+    },
+  });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const layout = createLayout(doc, style);
+      drawHeader(doc, model, style, layout);
+      drawIntro(doc, model, style, layout);
+      drawTable(doc, model, style, layout);
+      drawOptions(doc, model, style, layout);
+      drawTotals(doc, model, style, layout);
+      drawTerms(doc, model, style, layout);
+      if (model.signature) drawSignature(doc, model, style, layout);
+      drawFooters(doc, model, style);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
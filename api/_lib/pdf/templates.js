@@ -0,0 +1,53 @@
+// /api/_lib/pdf/templates.js
+// Styles for each PDF template offered in src/lib/pdfTemplates.js. Only the
+// standard PDF fonts are used, so nothing needs embedding.
+
+import { DEFAULT_PDF_TEMPLATE, PDF_TEMPLATES } from '../../../src/lib/pdfTemplates.js';
+
+const STYLES = {
+  // Serif text, brand colour rules and a tinted table header
+  classic: {
+    font: 'Times-Roman',
+    bold: 'Times-Bold',
+    text: '#1f2937',
+    muted: '#6b7280',
+    accent: '#275262',
+    titleBand: false,
+    tableHeaderFill: '#e6eef1',
+    tableHeaderText: '#275262',
+    stripe: null,
+    rule: '#275262',
+  },
+  // Sans-serif with a solid title band and striped rows
+  modern: {
+    font: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    text: '#111827',
+    muted: '#6b7280',
+    accent: '#0f766e',
+    titleBand: true,
+    tableHeaderFill: '#0f766e',
+    tableHeaderText: '#ffffff',
+    stripe: '#f1f5f5',
+    rule: '#0f766e',
+  },
+  // Black and grey only, for printing on letterhead or in mono
+  minimal: {
+    font: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    text: '#111111',
+    muted: '#666666',
+    accent: '#111111',
+    titleBand: false,
+    tableHeaderFill: null,
+    tableHeaderText: '#111111',
+    stripe: null,
+    rule: '#999999',
+  },
+};
+
+export const isTemplate = (id) => PDF_TEMPLATES.some(t => t.id === id);
+
+export function getTemplate(id) {
+  return STYLES[isTemplate(id) ? id : DEFAULT_PDF_TEMPLATE];
+}
@@ -0,0 +1,240 @@
+// /api/_lib/pipeline.js
+// The quote generation pipeline: project type, plan, waste allowances and
+// product matching. `onProgress` receives an event at each step so callers
+// can stream progress to the browser:
+//   { type: 'status', stage, message }
+//   { type: 'plan', materials, method }      materials before matching
+//   { type: 'material', index, done, total, material }
+
+import { matchMaterials } from './matching.js';
+import { applyWasteAllowances, resolveWasteAllowances } from '../../src/lib/waste.js';
+import { normaliseLabourItems } from '../../src/lib/labour.js';
+import { PlanValidationError, buildRepairPrompt, extractJson, validatePlan } from './plan.js';
+import { formatAnswersForPrompt, normaliseAnswers } from './clarify.js';
+import { calculateJob } from '../../src/lib/calculators.js';
+import { describeImages } from './images.js';
+import { createSectionId } from '../../src/lib/sections.js';
+
+// How many times the model is asked to fix a plan that fails validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// --- AI functions to generate the initial plan ---
+async function getProjectType(desc, llm) {
+  const prompt = `In a few words, identify the primary trade or construction task for: "${desc}".`;
+  const text = await llm.generate(prompt, { task: 'project-type', subject: desc });
+  return text.trim();
+}
+
+const MATERIALS_SHAPE = `"materials": [
+    { "name": "string", "quantity": number, "unit": "string", "category": "tiles | paving | timber | aggregates | masonry | cement | other" }
+  ],`;
+
+const MATERIALS_GUIDANCE = `- Materials must reflect accurate quantities, units (e.g. m², bags, kg), and types.
+- Use standard units (m², m³, m, kg, tonnes, litres, each) so quantities can be converted into the pack sizes we sell.
+- Quantities must be the bare amounts the job needs. Do not add waste; a waste allowance is applied per category afterwards.
+- Choose materials appropriate for UK Building Regulations, trade norms, and job context.
+- Exclude mismatched materials (e.g. fire cement for patios, or trade packs when bulk bags are more appropriate).`;
+
+// Calculated materials are fixed; the model only checks them
+const formatCalculatedMaterials = (materials) => `
+The materials have already been calculated from the customer's measurements and are fixed:
+${materials.map(m => `- ${m.name}: ${m.quantity} ${m.unit}`).join('\n')}
+Do not return a "materials" list. In "checks", note anything this list appears to be missing or to get
+wrong for the job; leave it empty if it looks right.
+`;
+
+function buildPlanPrompt(desc, projectType, { answers, calculated }) {
+  return `
+You are a UK-based expert quantity surveyor and construction project planner for ${projectType}.
+
+You must generate a detailed quote based on the following project description:
+"${desc}"
+${answers.length ? `\n${formatAnswersForPrompt(answers)}\n` : ''}${calculated ? formatCalculatedMaterials(calculated) : ''}
+Your output must be a single JSON object only:
+{
+  ${calculated ? '' : `${MATERIALS_SHAPE}\n  `}"method": {
+    "steps": [ "string" ],
+    "considerations": [ "string" ]
+  },
+  "labour": [
+    { "trade": "string", "phase": "string", "unit": "hour | day", "quantity": number }
+  ]${calculated ? ',\n  "checks": [ "string" ]' : ''}
+}
+
+Guidance:
+${calculated ? '' : `${MATERIALS_GUIDANCE}\n`}- In "method", provide a **step-by-step guide** that a beginner could follow, but that a professional could print and give to a crew.
+- Steps must be written clearly, in sequence, and describe every necessary phase of the job including setup, prep, execution, and cleanup.
+- In "considerations", include:
+  - site conditions,
+  - regulatory issues,
+  - accessibility,
+  - weather factors,
+  - delivery or storage,
+  - safety,
+  - disposal,
+  - waste,
+  - PPE.
+- In "labour", break the work down by trade (e.g. Groundworker, Bricklayer, Labourer, Carpenter) and phase of the job (e.g. excavation, sub-base, laying, pointing).
+  Use "day" for trades normally booked by the day and "hour" for short tasks. Do not include rates.
+
+Do not include explanations outside the JSON object.
+  `.trim();
+}
+
+/**
+ * Asks the model for a plan, repairing invalid output. When `calculated`
+ * materials are given they replace whatever the model returns, and its
+ * "checks" on them come back as warnings.
+ */
+async function generateExpertPlan(desc, projectType, llm, { answers = [], calculated = null, onProgress }) {
+  const prompt = buildPlanPrompt(desc, projectType, { answers, calculated });
+
+  let raw = await llm.generate(prompt, { task: 'plan', subject: desc });
+  let errors = [];
+
+  for (let attempt = 0; ; attempt++) {
+    const { value, error } = extractJson(raw);
+    const checked = error
+      ? { errors: [error], warnings: [] }
+      : validatePlan(calculated ? { ...value, materials: calculated } : value);
+
+    if (checked.errors.length === 0) {
+      const repairs = attempt > 0
+        ? [{ path: '', message: `Plan was repaired after ${attempt} failed attempt(s)` }]
+        : [];
+      const checks = calculated && Array.isArray(value.checks)
+        ? value.checks
+          .filter(c => typeof c === 'string' && c.trim())
+          .map(c => ({ path: 'materials', message: `Check: ${c.trim()}` }))
+        : [];
+      return { plan: checked.plan, warnings: [...repairs, ...checks, ...checked.warnings] };
+    }
+
+    errors = checked.errors;
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      throw new PlanValidationError('The AI plan failed validation', errors, checked.warnings);
+    }
+    onProgress({
+      type: 'status',
+      stage: 'repair',
+      message: `Plan failed validation, asking the model to repair it (attempt ${attempt + 1})`,
+    });
+    raw = await llm.generate(buildRepairPrompt(prompt, raw, errors), { task: 'repair', subject: desc });
+  }
+}
+
+/**
+ * Generates a complete quote for a job description. With `jobParameters`
+ * ({ type, values } for one of the calculators) the materials are calculated
+ * and the model only plans the method and labour. `images` (already checked
+ * by normaliseImages) are read into the description first. The result is one
+ * quote section; pass `section` ({ id, name }) to generate or regenerate a
+ * particular section. Resolves to the quote; throws PlanValidationError when
+ * the plan or parameters are invalid.
+ */
+export async function buildQuote(
+  {
+    jobDescription: description,
+    jobParameters,
+    images = [],
+    section = {},
+    answers: rawAnswers,
+    wasteAllowances: wasteOverrides,
+  },
+  { llm, catalogue, onProgress = () => {} }
+) {
+  const answers = normaliseAnswers(rawAnswers);
+
+  let calculated = null;
+  let parameters = null;
+  let jobDescription = description;
+  if (jobParameters) {
+    const job = calculateJob(jobParameters.type, jobParameters.values);
+    if (job.errors.length) throw new PlanValidationError('The job parameters are invalid', job.errors);
+    calculated = job.materials;
+    parameters = { type: jobParameters.type, values: job.values };
+    jobDescription = description || job.description;
+    onProgress({
+      type: 'status',
+      stage: 'calculate',
+      message: `Calculated ${calculated.length} materials from the job parameters`,
+    });
+  }
+
+  let imageDescription = null;
+  if (images.length) {
+    imageDescription = await describeImages(images, llm, { notes: jobDescription });
+    jobDescription = [jobDescription, imageDescription].filter(Boolean).join('\n\n');
+    onProgress({
+      type: 'status',
+      stage: 'images',
+      message: `Read ${images.length} image${images.length === 1 ? '' : 's'} into the job description`,
+    });
+  }
+
+  const timer = Date.now();
+  const elapsed = (since) => Date.now() - since;
+
+  // 1. Determine project type
+  let started = Date.now();
+  const projectType = await getProjectType(jobDescription, llm);
+  const projectTypeMs = elapsed(started);
+  onProgress({ type: 'status', stage: 'project-type', message: `Project type identified: ${projectType}` });
+
+  // 2. Generate initial plan from the main AI
+  started = Date.now();
+  const { plan, warnings } = await generateExpertPlan(jobDescription, projectType, llm, {
+    answers,
+    calculated,
+    onProgress,
+  });
+  const planMs = elapsed(started);
+
+  // 3. Safely extract data from the plan
+  const wasteAllowances = resolveWasteAllowances(wasteOverrides);
+  const materialsList = applyWasteAllowances(plan.materials, wasteAllowances);
+  const { method } = plan;
+  const labour = normaliseLabourItems(plan.labour, plan.customerQuote?.labourHours);
+  onProgress({
+    type: 'status',
+    stage: 'plan',
+    message: `Plan drafted with ${materialsList.length} material${materialsList.length === 1 ? '' : 's'}`,
+  });
+  onProgress({ type: 'plan', materials: materialsList, method });
+
+  // 4. Find matching products for each material in the configured catalogue
+  started = Date.now();
+  const sectionId = section.id || createSectionId();
+  const { materials: matched, lookups } = await matchMaterials(materialsList, catalogue, {
+    idPrefix: `${sectionId}-`,
+    onMatch: (material, { index, done, total }) => {
+      onProgress({ type: 'material', index, done, total, material });
+    },
+  });
+  const matchingMs = elapsed(started);
+
+  // 5. Assemble the final quote
+  return {
+    sections: [{ id: sectionId, name: section.name || projectType, description: jobDescription, method }],
+    materials: matched.map(m => ({ ...m, sectionId })),
+    wasteAllowances,
+    labour: labour.map(l => ({ ...l, sectionId })),
+    // The clarifying answers the plan was built on, kept as the quote's assumptions
+    clarifications: answers,
+    ...(imageDescription && { imageDescription }),
+    // The measurements the materials were calculated from, when a calculator was used
+    ...(parameters && { jobParameters: parameters }),
+    customerQuote: {
+      quoteNumber: `Q-${Date.now()}`,
+      date: new Date().toLocaleDateString('en-GB'),
+    },
+    warnings,
+    timings: {
+      projectTypeMs,
+      planMs,
+      matchingMs,
+      totalMs: elapsed(timer),
+      lookups,
+    },
+  };
+}
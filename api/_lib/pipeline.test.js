@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProvider } from './llm/index.js';
+import { getCatalogue } from './catalogue/index.js';
+import { buildQuote } from './pipeline.js';
+import { PlanValidationError } from './plan.js';
+import { calculateJob } from '../../src/lib/calculators.js';
+import { calculateQuoteTotals } from '../../src/lib/totals.js';
+
+// Canned model answers and the bundled sample price list: no network needed
+process.env.LLM_PROVIDER = 'mock';
+process.env.CATALOGUE_SOURCE = 'local';
+delete process.env.CATALOGUE_PATH;
+
+const generate = (request, onProgress) =>
+  buildQuote(request, { llm: getProvider(), catalogue: getCatalogue(), onProgress });
+
+test('buildQuote turns a job description into a priced quote section', async () => {
+  const events = [];
+  const quote = await generate({ jobDescription: 'Lay a 5m x 4m sandstone patio' }, e => events.push(e));
+
+  assert.equal(quote.sections.length, 1);
+  const [section] = quote.sections;
+  assert.equal(section.name, 'Natural stone patio installation');
+  assert.ok(section.method.steps.length > 0);
+  assert.match(quote.customerQuote.quoteNumber, /^Q-\d+$/);
+
+  const paving = quote.materials.find(m => m.name === 'Indian sandstone paving slabs');
+  assert.equal(paving.sectionId, section.id);
+  assert.equal(paving.category, 'paving');
+  assert.equal(paving.wastePercent, 5);
+  // A real product is picked and priced; the manual option stays first
+  assert.match(paving.options[0].id, /^manual-/);
+  assert.equal(paving.unitPrice, paving.options.find(o => o.id === paving.selectedProductId).tradePrice);
+
+  assert.ok(quote.labour.length > 0);
+  assert.ok(quote.labour.every(l => l.sectionId === section.id));
+  assert.ok(calculateQuoteTotals(quote).materials > 0);
+
+  assert.deepEqual(
+    events.filter(e => e.type === 'status').map(e => e.stage),
+    ['project-type', 'plan']
+  );
+  assert.equal(events.filter(e => e.type === 'material').length, quote.materials.length);
+});
+
+test('buildQuote generates into the given section with the given waste allowances', async () => {
+  const quote = await generate({
+    jobDescription: 'Lay a 5m x 4m sandstone patio',
+    section: { id: 'sec-back', name: 'Back garden' },
+    wasteAllowances: { paving: 12 },
+  });
+
+  assert.deepEqual(quote.sections.map(s => [s.id, s.name]), [['sec-back', 'Back garden']]);
+  assert.ok(quote.materials.every(m => m.id.startsWith('sec-back-')));
+  assert.equal(quote.wasteAllowances.paving, 12);
+  assert.equal(quote.materials.find(m => m.category === 'paving').wastePercent, 12);
+});
+
+test('buildQuote uses calculated materials when given job parameters', async () => {
+  const values = { length: 6, width: 3 };
+  const quote = await generate({ jobParameters: { type: 'patio', values } });
+  const expected = calculateJob('patio', values);
+
+  assert.deepEqual(quote.materials.map(m => m.name), expected.materials.map(m => m.name));
+  assert.deepEqual(quote.jobParameters, { type: 'patio', values: expected.values });
+  assert.equal(quote.sections[0].description, expected.description);
+});
+
+test('buildQuote rejects invalid job parameters', async () => {
+  await assert.rejects(
+    generate({ jobParameters: { type: 'patio', values: { length: -1 } } }),
+    err => err instanceof PlanValidationError && err.errors[0].path === 'jobParameters.values.length'
+  );
+});
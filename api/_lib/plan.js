@@ -0,0 +1,177 @@
+// /api/_lib/plan.js
+// Parses and validates the JSON plan returned by the model. Problems we can fix
+// (numbers sent as strings, unit spellings) are normalised and reported as
+// warnings; anything structural is an error and goes back to the model for repair.
+
+import { normaliseUnit } from '../../src/lib/packs.js';
+
+export class PlanValidationError extends Error {
+  constructor(message, errors = [], warnings = []) {
+    super(message);
+    this.name = 'PlanValidationError';
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
+/**
+ * Pulls the JSON object out of a model response, tolerating code fences and
+ * chatter around it. Returns { value } or { error }.
+ */
+export function extractJson(raw) {
+  const text = String(raw || '').replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { error: { path: '', message: 'Response did not contain a JSON object' } };
+  }
+  try {
+    return { value: JSON.parse(text.substring(start, end + 1)) };
+  } catch (err) {
+    return { error: { path: '', message: `Invalid JSON: ${err.message}` } };
+  }
+}
+
+// Accepts numbers and numeric strings such as "12.5", "10 bags" or "1,200"
+function toNumber(value) {
+  if (typeof value === 'number') return { number: value, coerced: false };
+  // Drop thousands separators first, or "1,200" would read as 1
+  const text = String(value ?? '').replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+  const match = text.match(/-?\d+(?:\.\d+)?/);
+  return { number: match ? parseFloat(match[0]) : NaN, coerced: true };
+}
+
+function validateStringList(list, path, errors, warnings, { required }) {
+  if (list === undefined && !required) return [];
+  if (!Array.isArray(list)) {
+    errors.push({ path, message: 'Must be an array of strings' });
+    return [];
+  }
+
+  const strings = [];
+  list.forEach((item, i) => {
+    if (typeof item === 'string' && item.trim()) strings.push(item.trim());
+    else if (typeof item === 'number') {
+      strings.push(String(item));
+      warnings.push({ path: `${path}[${i}]`, message: 'Converted a number to text' });
+    } else {
+      errors.push({ path: `${path}[${i}]`, message: 'Must be a non-empty string' });
+    }
+  });
+
+  if (required && strings.length === 0) errors.push({ path, message: 'Must contain at least one entry' });
+  return strings;
+}
+
+function validateMaterial(material, path, errors, warnings) {
+  if (!material || typeof material !== 'object') {
+    errors.push({ path, message: 'Must be an object' });
+    return null;
+  }
+
+  const name = typeof material.name === 'string' ? material.name.trim() : '';
+  if (!name) errors.push({ path: `${path}.name`, message: 'Must be a non-empty string' });
+
+  const { number: quantity, coerced } = toNumber(material.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    errors.push({ path: `${path}.quantity`, message: 'Must be a positive number' });
+  } else if (coerced) {
+    warnings.push({ path: `${path}.quantity`, message: `Read "${material.quantity}" as ${quantity}` });
+  }
+
+  let unit = typeof material.unit === 'string' ? material.unit.trim() : '';
+  const known = normaliseUnit(unit);
+  if (!unit) {
+    unit = 'each';
+    warnings.push({ path: `${path}.unit`, message: `No unit given for "${name}", assumed "each"` });
+  } else if (!known) {
+    warnings.push({ path: `${path}.unit`, message: `Unknown unit "${unit}" for "${name}"` });
+  } else if (known.base !== 'pack' && known.base !== 'each') {
+    // Measurement units get one spelling; counts like "bags" or "posts" keep theirs
+    unit = known.unit;
+  }
+
+  return { ...material, name, quantity, unit };
+}
+
+function validateLabourItem(item, path, warnings) {
+  const { number: quantity } = toNumber(item?.quantity);
+  if (!item || typeof item !== 'object' || !Number.isFinite(quantity) || quantity <= 0) {
+    warnings.push({ path, message: 'Dropped a labour item without a positive quantity' });
+    return null;
+  }
+  const unit = String(item.unit || '').toLowerCase().startsWith('day') ? 'day' : 'hour';
+  return { ...item, quantity, unit };
+}
+
+/**
+ * Checks a list of materials, adding problems to `errors` and `warnings`.
+ * Returns the normalised materials.
+ */
+export function validateMaterialList(list, path, errors, warnings) {
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push({ path, message: 'Must be a non-empty array' });
+    return [];
+  }
+  return list
+    .map((m, i) => validateMaterial(m, `${path}[${i}]`, errors, warnings))
+    .filter(Boolean);
+}
+
+/**
+ * Checks a parsed plan against the shape the prompt asks for.
+ * Returns { plan, errors, warnings }; `plan` is normalised and only safe to use
+ * when `errors` is empty.
+ */
+export function validatePlan(value) {
+  const errors = [];
+  const warnings = [];
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { plan: null, errors: [{ path: '', message: 'Plan must be a JSON object' }], warnings };
+  }
+
+  const materials = validateMaterialList(value.materials, 'materials', errors, warnings);
+
+  const method = value.method && typeof value.method === 'object' ? value.method : null;
+  if (!method) errors.push({ path: 'method', message: 'Must be an object with steps and considerations' });
+  const steps = validateStringList(method?.steps, 'method.steps', errors, warnings, { required: true });
+  const considerations = validateStringList(
+    method?.considerations, 'method.considerations', errors, warnings, { required: false }
+  );
+
+  let labour = value.labour;
+  if (labour !== undefined && !Array.isArray(labour)) {
+    warnings.push({ path: 'labour', message: 'Ignored labour that was not an array' });
+    labour = [];
+  }
+  labour = (labour || [])
+    .map((item, i) => validateLabourItem(item, `labour[${i}]`, warnings))
+    .filter(Boolean);
+
+  return {
+    plan: { ...value, materials, method: { steps, considerations }, labour },
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Prompt asking the model to fix its previous output.
+ */
+export function buildRepairPrompt(originalPrompt, raw, errors) {
+  const problems = errors.map(e => `- ${e.path || '(root)'}: ${e.message}`).join('\n');
+  return `
+${originalPrompt}
+
+Your previous response could not be used:
+"""
+${String(raw).slice(0, 8000)}
+"""
+
+Problems found:
+${problems}
+
+Return the corrected plan as a single JSON object only, fixing every problem listed above.
+  `.trim();
+}
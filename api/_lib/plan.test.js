@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, validatePlan } from './plan.js';
+
+const validPlan = () => ({
+  materials: [
+    { name: 'Sharp sand', quantity: 1.2, unit: 'tonnes', category: 'aggregates' },
+    { name: 'Cement', quantity: '8 bags', unit: 'bags' },
+  ],
+  method: { steps: ['Excavate', 'Lay sub-base'], considerations: ['Check for services'] },
+  labour: [{ trade: 'Groundworker', phase: 'Excavation', unit: 'days', quantity: 2 }],
+});
+
+test('extractJson finds the object inside code fences and chatter', () => {
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"a": 1}\n```\nThanks'), { value: { a: 1 } });
+  assert.match(extractJson('no json here').error.message, /did not contain/);
+  assert.match(extractJson('{"a": }').error.message, /^Invalid JSON/);
+});
+
+test('validatePlan accepts a valid plan and normalises it', () => {
+  const { plan, errors, warnings } = validatePlan(validPlan());
+  assert.deepEqual(errors, []);
+  assert.equal(plan.materials[0].unit, 'tonne');
+  // Counts keep their own spelling
+  assert.equal(plan.materials[1].unit, 'bags');
+  assert.equal(plan.materials[1].quantity, 8);
+  assert.deepEqual(plan.labour, [{ trade: 'Groundworker', phase: 'Excavation', unit: 'day', quantity: 2 }]);
+  assert.deepEqual(warnings, [{ path: 'materials[1].quantity', message: 'Read "8 bags" as 8' }]);
+});
+
+test('validatePlan reads thousands separators in quantities', () => {
+  const value = validPlan();
+  value.materials[0].quantity = '1,200';
+  assert.equal(validatePlan(value).plan.materials[0].quantity, 1200);
+});
+
+test('validatePlan reports structural problems as errors', () => {
+  const value = validPlan();
+  value.materials[0].quantity = 0;
+  delete value.materials[1].name;
+  value.method.steps = [];
+  const { errors } = validatePlan(value);
+  assert.deepEqual(errors.map(e => e.path), ['materials[0].quantity', 'materials[1].name', 'method.steps']);
+
+  assert.deepEqual(validatePlan([]).errors, [{ path: '', message: 'Plan must be a JSON object' }]);
+  assert.deepEqual(validatePlan({ ...validPlan(), materials: [] }).errors.map(e => e.path), ['materials']);
+});
+
+test('validatePlan warns about fixable problems instead of failing', () => {
+  const value = validPlan();
+  value.materials[0].unit = '';
+  value.labour.push({ trade: 'Labourer', quantity: 0 });
+  const { plan, errors, warnings } = validatePlan(value);
+  assert.deepEqual(errors, []);
+  assert.equal(plan.materials[0].unit, 'each');
+  assert.equal(plan.labour.length, 1);
+  assert.deepEqual(warnings.map(w => w.path), ['materials[0].unit', 'materials[1].quantity', 'labour[1]']);
+});
@@ -0,0 +1,160 @@
+// /api/_lib/quotes.js
+// Saved quotes, keyed by quote number, on top of the configured storage backend.
+
+import { getStore } from './storage/index.js';
+import { calculateQuoteTotals } from '../../src/lib/totals.js';
+import { getQuoteStatus } from '../../src/lib/quoteStatus.js';
+
+const MAX_PAGE_SIZE = 100;
+
+const quotes = () => getStore('quotes');
+
+// A, B, ... Z, AA, AB, ...
+function revisionLetter(index) {
+  let letter = '';
+  let n = index;
+  do {
+    letter = String.fromCharCode(65 + (n % 26)) + letter;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return letter;
+}
+
+const withRevision = (quote, quoteNumber, revision) => ({
+  ...quote,
+  customerQuote: { ...quote.customerQuote, quoteNumber, revision },
+});
+
+function summarise(record) {
+  const { quote } = record;
+  return {
+    id: record.id,
+    quoteNumber: quote.customerQuote?.quoteNumber || record.id,
+    customerName: quote.customerQuote?.customer?.name || '',
+    projectDescription: quote.customerQuote?.projectDescription || '',
+    revision: quote.customerQuote?.revision || '',
+    total: calculateQuoteTotals(quote).total,
+    status: getQuoteStatus(record),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+}
+
+// Changes to one quote run one at a time, each on the record as the last one
+// left it, so the contractor saving and the customer responding can't undo
+// each other
+const pendingChanges = new Map();
+
+/**
+ * Re-reads a stored quote and saves `change(record)`, the whole record to
+ * store, or leaves it as it is if `change` returns null. `change` may throw to
+ * refuse. Resolves to the record as stored afterwards, or null if the quote
+ * doesn't exist.
+ */
+export function modifyQuote(id, change) {
+  const key = String(id);
+  const run = (pendingChanges.get(key) || Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      const record = await quotes().get(id);
+      if (!record) return null;
+      const changed = await change(record);
+      return changed ? quotes().put(changed) : record;
+    });
+  pendingChanges.set(key, run);
+  run
+    .finally(() => {
+      if (pendingChanges.get(key) === run) pendingChanges.delete(key);
+    })
+    .catch(() => {});
+  return run;
+}
+
+export async function listQuotes({ search = '', page = 1, pageSize = 20 } = {}) {
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(pageSize) || 20));
+  const current = Math.max(1, Number(page) || 1);
+  const { items, total } = await quotes().list({
+    search: String(search),
+    offset: (current - 1) * size,
+    limit: size,
+    // Searching for a link's token mustn't find the quote it opens
+    searchExcept: ['share'],
+  });
+  return { items: items.map(summarise), total, page: current, pageSize: size };
+}
+
+/**
+ * A stored quote as the API sends it back: the customer link's token is only
+ * given out by /api/quotes/:id/share.
+ */
+export function toResponse(record) {
+  if (!record?.share) return record;
+  const share = { ...record.share };
+  delete share.token;
+  return { ...record, share };
+}
+
+export async function getQuote(id) {
+  return quotes().get(id);
+}
+
+/**
+ * Saves a new quote as Revision A. Returns null if a quote with that number
+ * already exists.
+ */
+export async function createQuote(quote) {
+  const quoteNumber = quote.customerQuote?.quoteNumber || `Q-${Date.now()}`;
+  const now = new Date().toISOString();
+  const saved = withRevision(quote, quoteNumber, revisionLetter(0));
+  const record = {
+    id: quoteNumber,
+    createdAt: now,
+    updatedAt: now,
+    quote: saved,
+    revisions: [{ letter: revisionLetter(0), createdAt: now, note: 'Initial quote', quote: saved }],
+  };
+  // Insert-only, so two saves of the same new quote can't overwrite each other
+  return quotes().create(record);
+}
+
+/**
+ * Replaces the working copy of a stored quote. Issued revisions are kept as they
+ * were. Returns null if the quote doesn't exist.
+ */
+export async function updateQuote(id, quote) {
+  // Only the working copy is the contractor's to replace; the share and the
+  // customer's response stay as stored
+  return modifyQuote(id, existing => ({
+    ...existing,
+    updatedAt: new Date().toISOString(),
+    quote: withRevision(quote, existing.id, existing.quote.customerQuote?.revision),
+  }));
+}
+
+/**
+ * Issues the next revision of a quote (B, C, ...) from `quote`, or from the
+ * working copy if no quote is given, with a note of what changed.
+ * Returns null if the quote doesn't exist.
+ */
+export async function addRevision(id, { note = '', quote } = {}) {
+  return modifyQuote(id, existing => {
+    const revisions = existing.revisions || [];
+    const letter = revisionLetter(revisions.length);
+    const now = new Date().toISOString();
+    const saved = withRevision(quote || existing.quote, existing.id, letter);
+
+    return {
+      ...existing,
+      updatedAt: now,
+      quote: saved,
+      revisions: [...revisions, { letter, createdAt: now, note: String(note).trim(), quote: saved }],
+    };
+  });
+}
+
+export async function deleteQuote(id) {
+  // A shared quote's link goes with it
+  const existing = await quotes().get(id);
+  if (existing?.share) await getStore('shares').remove(existing.share.token);
+  return quotes().remove(id);
+}
@@ -0,0 +1,212 @@
+// /api/_lib/refine.js
+// Targeted changes to one section of a quote from a follow-up instruction,
+// e.g. "use 150mm sub-base not 100mm" or "add edging". The model returns a
+// patch rather than a new plan, so rows it doesn't touch keep their product
+// selections. Rows are shown to the model as short refs (m1, l1) and mapped
+// back to ids here.
+
+import { matchMaterials } from './matching.js';
+import { applyWasteAllowances, resolveWasteAllowances } from '../../src/lib/waste.js';
+import { normaliseLabourItems } from '../../src/lib/labour.js';
+import { getQuoteSections, getSectionItems } from '../../src/lib/sections.js';
+import { PlanValidationError, buildRepairPrompt, extractJson, validateMaterialList } from './plan.js';
+
+// How many times the model is asked to fix a patch that fails validation
+const MAX_REPAIR_ATTEMPTS = 1;
+const MATERIAL_FIELDS = ['name', 'quantity', 'unit', 'category'];
+const LABOUR_FIELDS = ['trade', 'phase', 'unit', 'quantity'];
+
+function buildRefinePrompt(instruction, { section, materials, labour }) {
+  const materialLines = materials
+    .map((m, i) => `- m${i + 1}: ${m.name}, ${m.quantity} ${m.unit} (${m.category || 'other'})`)
+    .join('\n');
+  const labourLines = labour
+    .map((l, i) => `- l${i + 1}: ${l.trade}${l.phase ? ` – ${l.phase}` : ''}, ${l.quantity} ${l.unit}`)
+    .join('\n');
+  const steps = (section.method?.steps || []).map((s, i) => `${i + 1}. ${s}`).join('\n');
+
+  return `
+You are a UK-based quantity surveyor amending part of an existing quote: "${section.name}".
+${section.description ? `\nThe job: "${section.description}"\n` : ''}
+Current materials:
+${materialLines || '(none)'}
+
+Current labour:
+${labourLines || '(none)'}
+
+Current method:
+${steps || '(none)'}
+
+The customer has asked for this change:
+"${instruction}"
+
+Return only the changes needed, as a single JSON object:
+{
+  "summary": "one sentence describing the change",
+  "materials": {
+    "update": [ { "ref": "m1", "name": "string", "quantity": number, "unit": "string", "category": "string" } ],
+    "add": [ { "name": "string", "quantity": number, "unit": "string", "category": "tiles | paving | timber | aggregates | masonry | cement | other" } ],
+    "remove": [ "m2" ]
+  },
+  "labour": {
+    "update": [ { "ref": "l1", "trade": "string", "phase": "string", "unit": "hour | day", "quantity": number } ],
+    "add": [ { "trade": "string", "phase": "string", "unit": "hour | day", "quantity": number } ],
+    "remove": [ "l2" ]
+  },
+  "method": null
+}
+
+Rules:
+- In "update", include only the fields that change. Leave rows the instruction doesn't affect out entirely.
+- Recalculate quantities that depend on the change (e.g. a deeper sub-base needs more MOT Type 1).
+- Quantities are bare amounts; waste is added afterwards.
+- Set "method" to the full revised { "steps": [...], "considerations": [...] } only if the method must change; otherwise null.
+Do not include explanations outside the JSON object.
+  `.trim();
+}
+
+const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value));
+
+function validateUpdates(list, path, rows, prefix, fields, errors, warnings) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    errors.push({ path, message: 'Must be an array' });
+    return [];
+  }
+  return list.map((item, i) => {
+    const index = Number(String(item?.ref || '').replace(prefix, '')) - 1;
+    const row = rows[index];
+    if (!row) {
+      warnings.push({ path: `${path}[${i}].ref`, message: `Ignored a change to unknown row "${item?.ref}"` });
+      return null;
+    }
+    const changes = {};
+    fields.forEach(field => {
+      if (item[field] === undefined || item[field] === null) return;
+      if (field === 'quantity') {
+        const quantity = toNumber(item.quantity);
+        if (Number.isFinite(quantity) && quantity > 0) changes.quantity = quantity;
+        else errors.push({ path: `${path}[${i}].quantity`, message: 'Must be a positive number' });
+      } else if (String(item[field]).trim()) {
+        changes[field] = String(item[field]).trim();
+      }
+    });
+    return Object.keys(changes).length ? { id: row.id, changes } : null;
+  }).filter(Boolean);
+}
+
+function validateRemovals(list, path, rows, prefix, warnings) {
+  if (!Array.isArray(list)) return [];
+  return list.map((ref, i) => {
+    const row = rows[Number(String(ref).replace(prefix, '')) - 1];
+    if (!row) warnings.push({ path: `${path}[${i}]`, message: `Ignored removing unknown row "${ref}"` });
+    return row?.id;
+  }).filter(Boolean);
+}
+
+function validateMethod(method, errors) {
+  if (method === undefined || method === null) return null;
+  const steps = Array.isArray(method.steps) ? method.steps.filter(s => typeof s === 'string' && s.trim()) : [];
+  if (!steps.length) {
+    errors.push({ path: 'method.steps', message: 'Must be a non-empty array of strings when the method changes' });
+    return null;
+  }
+  const considerations = Array.isArray(method.considerations)
+    ? method.considerations.filter(c => typeof c === 'string' && c.trim())
+    : [];
+  return { steps, considerations };
+}
+
+/**
+ * Checks the model's patch against the section's rows. Returns
+ * { patch, errors, warnings }; refs in the patch are replaced by row ids.
+ */
+export function validatePatch(value, { materials, labour }) {
+  const errors = [];
+  const warnings = [];
+  if (!value || typeof value !== 'object') {
+    return { patch: null, errors: [{ path: '', message: 'Patch must be a JSON object' }], warnings };
+  }
+
+  const m = value.materials || {};
+  const l = value.labour || {};
+  const added = m.add?.length ? validateMaterialList(m.add, 'materials.add', errors, warnings) : [];
+
+  const patch = {
+    summary: typeof value.summary === 'string' ? value.summary.trim() : '',
+    materials: {
+      update: validateUpdates(m.update, 'materials.update', materials, 'm', MATERIAL_FIELDS, errors, warnings),
+      add: added,
+      remove: validateRemovals(m.remove, 'materials.remove', materials, 'm', warnings),
+    },
+    labour: {
+      update: validateUpdates(l.update, 'labour.update', labour, 'l', LABOUR_FIELDS, errors, warnings),
+      add: normaliseLabourItems(Array.isArray(l.add) ? l.add : []),
+      remove: validateRemovals(l.remove, 'labour.remove', labour, 'l', warnings),
+    },
+    method: validateMethod(value.method, errors),
+  };
+  return { patch, errors, warnings };
+}
+
+/**
+ * Asks the model for a patch to one section and prepares it for the client:
+ * added and renamed materials are matched to products and get waste
+ * allowances; new rows get ids. Resolves to { patch, warnings }; throws
+ * PlanValidationError when the patch can't be repaired.
+ */
+export async function refineSection({ quote, sectionId, instruction }, { llm, catalogue }) {
+  const sections = getQuoteSections(quote);
+  const section = sections.find(s => s.id === sectionId) || sections[0];
+  const items = getSectionItems(quote, section.id);
+
+  const prompt = buildRefinePrompt(instruction, { section, ...items });
+  const subject = section.description || section.name;
+  let raw = await llm.generate(prompt, { task: 'refine', subject });
+  let checked;
+
+  for (let attempt = 0; ; attempt++) {
+    const { value, error } = extractJson(raw);
+    checked = error ? { errors: [error], warnings: [] } : validatePatch(value, items);
+    if (checked.errors.length === 0) break;
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      throw new PlanValidationError('The requested change could not be validated', checked.errors, checked.warnings);
+    }
+    raw = await llm.generate(buildRepairPrompt(prompt, raw, checked.errors), { task: 'repair-refine', subject });
+  }
+
+  const { patch, warnings } = checked;
+  const allowances = resolveWasteAllowances(quote.wasteAllowances);
+  const stamp = Date.now().toString(36);
+
+  // New materials are matched like a generated plan
+  const { materials: added } = await matchMaterials(
+    applyWasteAllowances(patch.materials.add, allowances),
+    catalogue,
+    { idPrefix: `${section.id}-${stamp}-` }
+  );
+
+  // A renamed or recategorised material is a different product, so it gets fresh options
+  const byId = new Map(items.materials.map(mat => [mat.id, mat]));
+  const update = await Promise.all(patch.materials.update.map(async ({ id, changes }) => {
+    if (!changes.name && !changes.category) return { id, changes };
+    const [merged] = applyWasteAllowances([{ ...byId.get(id), ...changes }], allowances);
+    if (!changes.name) return { id, changes: { ...changes, wastePercent: merged.wastePercent } };
+    const { materials: [matched] } = await matchMaterials([merged], catalogue);
+    const { options, selectedProductId, unitPrice, category, wastePercent } = matched;
+    return { id, changes: { ...changes, category, wastePercent, options, selectedProductId, unitPrice } };
+  }));
+
+  return {
+    patch: {
+      ...patch,
+      sectionId: section.id,
+      materials: { ...patch.materials, add: added.map(mat => ({ ...mat, sectionId: section.id })), update },
+      labour: {
+        ...patch.labour,
+        add: patch.labour.add.map((item, i) => ({ ...item, id: `${section.id}-${stamp}-lab-${i + 1}`, sectionId: section.id })),
+      },
+    },
+    warnings,
+  };
+}
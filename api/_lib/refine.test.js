@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePatch } from './refine.js';
+
+// The model refers to the section's rows as m1, m2... and l1, l2...
+const rows = {
+  materials: [
+    { id: 'mat-a', name: 'MOT Type 1', quantity: 2, unit: 'tonne' },
+    { id: 'mat-b', name: 'Sharp sand', quantity: 1, unit: 'tonne' },
+  ],
+  labour: [{ id: 'lab-a', trade: 'Groundworker', unit: 'day', quantity: 2 }],
+};
+
+test('validatePatch turns row refs into ids', () => {
+  const { patch, errors, warnings } = validatePatch({
+    summary: ' Deeper sub-base ',
+    materials: {
+      update: [{ ref: 'm1', quantity: '3' }],
+      add: [{ name: 'Geotextile membrane', quantity: 20, unit: 'm2' }],
+      remove: ['m2'],
+    },
+    labour: { update: [{ ref: 'l1', quantity: 3 }], add: [], remove: [] },
+    method: null,
+  }, rows);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.equal(patch.summary, 'Deeper sub-base');
+  assert.deepEqual(patch.materials.update, [{ id: 'mat-a', changes: { quantity: 3 } }]);
+  assert.deepEqual(patch.materials.remove, ['mat-b']);
+  assert.equal(patch.materials.add[0].unit, 'm²');
+  assert.deepEqual(patch.labour.update, [{ id: 'lab-a', changes: { quantity: 3 } }]);
+  assert.equal(patch.method, null);
+});
+
+test('validatePatch ignores unknown rows with a warning', () => {
+  const { patch, errors, warnings } = validatePatch({
+    materials: { update: [{ ref: 'm9', quantity: 1 }], remove: ['m7'] },
+  }, rows);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(patch.materials.update, []);
+  assert.deepEqual(patch.materials.remove, []);
+  assert.deepEqual(warnings.map(w => w.path), ['materials.update[0].ref', 'materials.remove[0]']);
+});
+
+test('validatePatch rejects bad quantities, added materials and methods', () => {
+  const { errors } = validatePatch({
+    materials: {
+      update: [{ ref: 'm1', quantity: -1 }],
+      add: [{ name: '', quantity: 2, unit: 'bags' }],
+    },
+    method: { steps: [] },
+  }, rows);
+  assert.deepEqual(errors.map(e => e.path), ['materials.add[0].name', 'materials.update[0].quantity', 'method.steps']);
+});
+
+test('validatePatch needs an object', () => {
+  assert.deepEqual(validatePatch(null, rows), {
+    patch: null,
+    errors: [{ path: '', message: 'Patch must be a JSON object' }],
+    warnings: [],
+  });
+});
@@ -0,0 +1,191 @@
+// /api/_lib/shares.js
+// Read-only customer links for saved quotes. Sharing snapshots the working
+// copy onto the quote record (`share.quote`), so later edits don't change
+// what the customer sees until the quote is shared again, and stores the
+// link's token in its own collection to find the quote from the URL.
+// Statuses are described in src/lib/quoteStatus.js.
+
+import { randomBytes } from 'node:crypto';
+import { getStore } from './storage/index.js';
+import { modifyQuote } from './quotes.js';
+import { getSelectedOption } from '../../src/lib/materials.js';
+import { getQuoteTerms } from '../../src/lib/terms.js';
+import { OPEN_STATUSES, getQuoteStatus } from '../../src/lib/quoteStatus.js';
+
+const quotes = () => getStore('quotes');
+const shares = () => getStore('shares');
+
+// Thrown when a customer's response can't be recorded; `status` is the HTTP status to use
+export class QuoteResponseError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'QuoteResponseError';
+    this.status = status;
+  }
+}
+
+const createToken = () => randomBytes(18).toString('base64url');
+
+export const sharePath = (token) => `/q/${token}`;
+
+// The customer doesn't need every product we considered, only the one priced
+const onlySelected = (materials = []) =>
+  materials.map(m => ({ ...m, options: [getSelectedOption(m)].filter(Boolean) }));
+
+// The shared copy is dated the day it's sent, so its validity runs from then
+function toSharedQuote(quote, sentAt) {
+  const shared = {
+    ...quote,
+    customerQuote: { ...quote.customerQuote, date: sentAt.toLocaleDateString('en-GB') },
+    materials: onlySelected(quote.materials),
+    alternatives: (quote.alternatives || []).map(alt => ({ ...alt, materials: onlySelected(alt.materials) })),
+  };
+  // Plan-checking notes and cart picks are for the contractor
+  delete shared.warnings;
+  delete shared.selectedMaterials;
+  return shared;
+}
+
+// What the contractor sees about a quote's link
+function describeShare(record) {
+  const share = record.share;
+  return {
+    status: getQuoteStatus(record),
+    token: share?.token || null,
+    path: share ? sharePath(share.token) : null,
+    sentAt: share?.sentAt || null,
+    viewedAt: share?.viewedAt || null,
+    revision: share?.quote?.customerQuote?.revision || null,
+    response: record.response || null,
+  };
+}
+
+export async function getShare(id) {
+  const record = await quotes().get(id);
+  return record ? describeShare(record) : null;
+}
+
+/**
+ * Shares the quote's working copy, creating its link the first time. Sharing
+ * again after changes replaces what the customer sees and reopens a declined
+ * or expired quote: the shared copy is re-dated, so its validity starts again.
+ * Returns null if the quote doesn't exist.
+ */
+export async function shareQuote(id) {
+  const saved = await modifyQuote(id, async record => {
+    if (record.status === 'accepted') {
+      throw new QuoteResponseError('This quote has already been accepted', 409);
+    }
+
+    const sentAt = new Date();
+    const now = sentAt.toISOString();
+    const token = record.share?.token || createToken();
+    if (!record.share) await shares().put({ id: token, quoteId: record.id, createdAt: now, updatedAt: now });
+
+    return {
+      ...record,
+      updatedAt: now,
+      status: 'sent',
+      share: { token, sentAt: now, viewedAt: null, quote: toSharedQuote(record.quote, sentAt) },
+      response: null,
+    };
+  });
+  return saved && describeShare(saved);
+}
+
+/**
+ * Turns the link off; the quote goes back to being a draft.
+ */
+export async function revokeShare(id) {
+  const saved = await modifyQuote(id, async record => {
+    if (record.share) await shares().remove(record.share.token);
+
+    const revoked = {
+      ...record,
+      updatedAt: new Date().toISOString(),
+      status: record.status === 'accepted' ? 'accepted' : 'draft',
+    };
+    delete revoked.share;
+    return revoked;
+  });
+  return saved && describeShare(saved);
+}
+
+const isSharedAs = (record, token) => record?.share?.token === token;
+
+async function findShared(token) {
+  const link = await shares().get(token);
+  const record = link && await quotes().get(link.quoteId);
+  return isSharedAs(record, token) ? record : null;
+}
+
+// What the customer sees at the link
+function describeForCustomer(record) {
+  const { validUntil } = getQuoteTerms(record.share.quote.customerQuote);
+  return {
+    quote: record.share.quote,
+    status: getQuoteStatus(record),
+    validUntil: validUntil ? validUntil.toISOString() : null,
+    response: record.response || null,
+  };
+}
+
+/**
+ * Opens a shared quote for the customer, marking it as viewed the first time.
+ * Returns null for unknown or revoked links.
+ */
+export async function viewSharedQuote(token) {
+  const record = await findShared(token);
+  if (!record) return null;
+  if (record.status !== 'sent' || getQuoteStatus(record) === 'expired') {
+    return describeForCustomer(record);
+  }
+
+  const saved = await modifyQuote(record.id, current => {
+    // Decide again on the record as it is now: it may have been answered,
+    // re-shared or revoked since it was read
+    if (!isSharedAs(current, token) || current.status !== 'sent') return null;
+    return {
+      ...current,
+      status: 'viewed',
+      share: { ...current.share, viewedAt: new Date().toISOString() },
+    };
+  });
+  return isSharedAs(saved, token) ? describeForCustomer(saved) : null;
+}
+
+/**
+ * Records the customer accepting or declining, with the name they typed.
+ * Returns null for unknown links; throws QuoteResponseError if the quote has
+ * expired or already been answered.
+ */
+export async function respondToSharedQuote(token, { decision, name }) {
+  const record = await findShared(token);
+  if (!record) return null;
+
+  const saved = await modifyQuote(record.id, current => {
+    if (!isSharedAs(current, token)) return null;
+
+    const status = getQuoteStatus(current);
+    if (status === 'expired') {
+      throw new QuoteResponseError('This quote has expired. Please ask for an updated quote.', 410);
+    }
+    if (!OPEN_STATUSES.includes(status)) {
+      throw new QuoteResponseError(`This quote has already been ${status}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    return {
+      ...current,
+      updatedAt: now,
+      status: decision === 'accept' ? 'accepted' : 'declined',
+      response: {
+        decision,
+        name,
+        at: now,
+        revision: current.share.quote.customerQuote?.revision || null,
+      },
+    };
+  });
+  return isSharedAs(saved, token) ? describeForCustomer(saved) : null;
+}
@@ -0,0 +1,101 @@
+// /api/_lib/storage/file.js
+// JSON-file backend: one file per record under <dir>/<collection>/<id>.json.
+// Fine for local use and small teams; use the SQLite backend for anything bigger.
+
+import { randomBytes } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// Plain ids are used as the file name as they are; anything else is encoded
+// (base64url behind a ~, which plain ids can't contain) so two different ids
+// never share a file
+const safeId = (id) => {
+  const text = String(id);
+  return /^[a-zA-Z0-9_-]+$/.test(text) ? text : `~${Buffer.from(text).toString('base64url')}`;
+};
+
+// Unique per write, so concurrent writes to the same record never share a temp file
+const tempFor = (file) => `${file}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+
+export function createFileStore(collection, { dir }) {
+  const root = path.join(dir, collection);
+  const fileFor = (id) => path.join(root, `${safeId(id)}.json`);
+
+  async function readAll() {
+    let names;
+    try {
+      names = await fs.readdir(root);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const records = await Promise.all(
+      names
+        .filter(name => name.endsWith('.json'))
+        .map(async name => JSON.parse(await fs.readFile(path.join(root, name), 'utf8')))
+    );
+    return records;
+  }
+
+  return {
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async list({ search = '', offset = 0, limit = 20, searchExcept = [] } = {}) {
+      const term = search.trim().toLowerCase();
+      const searchable = (record) => {
+        const fields = { ...record };
+        searchExcept.forEach(field => delete fields[field]);
+        return JSON.stringify(fields).toLowerCase();
+      };
+      const matches = (await readAll())
+        .filter(record => !term || searchable(record).includes(term))
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+      return { items: matches.slice(offset, offset + limit), total: matches.length };
+    },
+
+    async put(record) {
+      await fs.mkdir(root, { recursive: true });
+      // Write then rename so a crash never leaves a half-written record
+      const file = fileFor(record.id);
+      const tmp = tempFor(file);
+      await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+      await fs.rename(tmp, file);
+      return record;
+    },
+
+    // Like put, but only if no record has the id yet: returns null instead of overwriting
+    async create(record) {
+      await fs.mkdir(root, { recursive: true });
+      const file = fileFor(record.id);
+      const tmp = tempFor(file);
+      await fs.writeFile(tmp, JSON.stringify(record, null, 2));
+      try {
+        // link() fails if the target exists, unlike rename()
+        await fs.link(tmp, file);
+        return record;
+      } catch (err) {
+        if (err.code === 'EEXIST') return null;
+        throw err;
+      } finally {
+        await fs.unlink(tmp);
+      }
+    },
+
+    async remove(id) {
+      try {
+        await fs.unlink(fileFor(id));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+  };
+}
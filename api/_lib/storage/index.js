@@ -0,0 +1,32 @@
+// /api/_lib/storage/index.js
+// Picks the storage backend from the environment:
+//   QUOTE_STORAGE=file   (default) JSON files under QUOTE_STORAGE_DIR (default ./.data)
+//   QUOTE_STORAGE=sqlite a single SQLite file at QUOTE_STORAGE_FILE (default ./.data/quotes.db)
+//
+// Every backend exposes the same collection API: get, list (with
+// `searchExcept`, top-level fields the search doesn't look at), put, create
+// (put without overwriting; null if the id is taken) and remove.
+
+import path from 'node:path';
+import { createFileStore } from './file.js';
+import { createSqliteStore } from './sqlite.js';
+
+const BACKENDS = {
+  file: (collection) =>
+    createFileStore(collection, {
+      dir: process.env.QUOTE_STORAGE_DIR || path.join(process.cwd(), '.data'),
+    }),
+  sqlite: (collection) =>
+    createSqliteStore(collection, {
+      file: process.env.QUOTE_STORAGE_FILE || path.join(process.cwd(), '.data', 'quotes.db'),
+    }),
+};
+
+export function getStore(collection) {
+  const backend = (process.env.QUOTE_STORAGE || 'file').toLowerCase();
+  const create = BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown QUOTE_STORAGE backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return create(collection);
+}
@@ -0,0 +1,94 @@
+// /api/_lib/storage/sqlite.js
+// SQLite backend using the built-in node:sqlite module (Node 22.13+ / 23.4+;
+// Node 22.5 to 22.12 need the --experimental-sqlite flag).
+// Every collection shares one `records` table; the record itself is stored as JSON.
+
+import { mkdirSync } from 'node:fs';
+import path from 'node:path';
+
+const connections = new Map();
+
+async function openDatabase(file) {
+  if (connections.has(file)) return connections.get(file);
+
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error(
+      `The SQLite storage backend needs node:sqlite, which this Node (${process.version}) doesn't provide. ` +
+        'Use Node 22.13+ or 23.4+, or start Node 22.5+ with --experimental-sqlite (e.g. NODE_OPTIONS=--experimental-sqlite).'
+    );
+  }
+
+  mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+  connections.set(file, db);
+  return db;
+}
+
+export function createSqliteStore(collection, { file }) {
+  const db = () => openDatabase(file);
+
+  return {
+    async get(id) {
+      const row = (await db())
+        .prepare('SELECT data FROM records WHERE collection = ? AND id = ?')
+        .get(collection, String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async list({ search = '', offset = 0, limit = 20, searchExcept = [] } = {}) {
+      const conn = await db();
+      const escaped = search.trim().toLowerCase().replace(/[\\%_]/g, '\\$&');
+      const term = `%${escaped}%`;
+      const paths = searchExcept.map(field => `$.${field}`);
+      const searched = paths.length ? `json_remove(data, ${paths.map(() => '?').join(', ')})` : 'data';
+      const where = `collection = ? AND lower(${searched}) LIKE ? ESCAPE '\\'`;
+      const { total } = conn
+        .prepare(`SELECT COUNT(*) AS total FROM records WHERE ${where}`)
+        .get(collection, ...paths, term);
+      const rows = conn
+        .prepare(`SELECT data FROM records WHERE ${where} ORDER BY updated_at DESC LIMIT ? OFFSET ?`)
+        .all(collection, ...paths, term, limit, offset);
+      return { items: rows.map(row => JSON.parse(row.data)), total: Number(total) };
+    },
+
+    async put(record) {
+      (await db())
+        .prepare(
+          `INSERT INTO records (collection, id, updated_at, data) VALUES (?, ?, ?, ?)
+           ON CONFLICT (collection, id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data`
+        )
+        .run(collection, String(record.id), String(record.updatedAt || ''), JSON.stringify(record));
+      return record;
+    },
+
+    // Like put, but only if no record has the id yet: returns null instead of overwriting
+    async create(record) {
+      const result = (await db())
+        .prepare(
+          `INSERT INTO records (collection, id, updated_at, data) VALUES (?, ?, ?, ?)
+           ON CONFLICT (collection, id) DO NOTHING`
+        )
+        .run(collection, String(record.id), String(record.updatedAt || ''), JSON.stringify(record));
+      return result.changes > 0 ? record : null;
+    },
+
+    async remove(id) {
+      const result = (await db())
+        .prepare('DELETE FROM records WHERE collection = ? AND id = ?')
+        .run(collection, String(id));
+      return result.changes > 0;
+    },
+  };
+}
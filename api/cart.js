@@ -0,0 +1,40 @@
+// /api/cart.js
+// POST { reference, items: [{ id, quantity, name, materialIds }] } →
+// { cartId, cartUrl, added, failed }. `id` is the catalogue product id and
+// `quantity` the number of packs; see src/lib/cart.js for how a quote becomes
+// this payload and _lib/cart.js for where it goes.
+
+import { CartError, submitCart } from './_lib/cart.js';
+import { requireApiKey } from './_lib/auth.js';
+
+const MAX_ITEMS = 200;
+
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { reference, items } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Missing items' });
+  }
+  if (items.length > MAX_ITEMS) {
+    return res.status(400).json({ error: `A cart can hold at most ${MAX_ITEMS} items` });
+  }
+  if (items.some(item => !item || typeof item !== 'object')) {
+    return res.status(400).json({ error: 'Each item must be an object with an id and quantity' });
+  }
+
+  try {
+    const result = await submitCart({ reference: reference ? String(reference) : null, items });
+    return res.status(200).json(result);
+  } catch (err) {
+    if (err instanceof CartError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error in /api/cart:', err);
+    return res.status(500).json({ error: 'Failed to send the cart', details: err.message });
+  }
+}
@@ -0,0 +1,30 @@
+// /api/clarify.js
+
+import { getProvider } from './_lib/llm/index.js';
+import { generateClarifyingQuestions } from './_lib/clarify.js';
+import { requireApiKey } from './_lib/auth.js';
+
+// --- Clarifying questions asked before a plan is generated ---
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { jobDescription } = req.body || {};
+  if (!jobDescription) {
+    return res.status(400).json({ error: 'Missing job description' });
+  }
+
+  try {
+    const { questions, warnings } = await generateClarifyingQuestions(jobDescription, getProvider());
+    return res.status(200).json({ questions, warnings });
+  } catch (err) {
+    console.error('Error in /api/clarify:', err);
+    return res.status(500).json({
+      error: 'Failed to generate clarifying questions',
+      details: err.message,
+    });
+  }
+}
@@ -0,0 +1,48 @@
+// /api/generate-alternatives.js
+// POST { jobDescription, materials, sectionId, wasteAllowances }
+// → { alternatives, warnings }: a budget and a premium specification for the
+// section, each with matched products and prices.
+
+import { getProvider } from './_lib/llm/index.js';
+import { getCatalogue } from './_lib/catalogue/index.js';
+import { buildAlternatives } from './_lib/alternatives.js';
+import { PlanValidationError } from './_lib/plan.js';
+import { requireApiKey } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { jobDescription, materials, sectionId, wasteAllowances } = req.body || {};
+  if (!jobDescription) {
+    return res.status(400).json({ error: 'Missing job description' });
+  }
+  if (!Array.isArray(materials) || materials.length === 0) {
+    return res.status(400).json({ error: 'Missing the current materials' });
+  }
+
+  try {
+    const result = await buildAlternatives(
+      { jobDescription, materials, sectionId, wasteAllowances },
+      { llm: getProvider(), catalogue: getCatalogue() }
+    );
+    return res.status(200).json(result);
+  } catch (err) {
+    if (err instanceof PlanValidationError) {
+      console.error('Invalid alternatives from /api/generate-alternatives:', err.errors);
+      return res.status(422).json({
+        error: 'The alternatives could not be validated',
+        errors: err.errors,
+        warnings: err.warnings,
+      });
+    }
+    console.error('Error in /api/generate-alternatives:', err);
+    return res.status(500).json({
+      error: 'Failed to generate alternatives',
+      details: err.message,
+    });
+  }
+}
@@ -0,0 +1,38 @@
+// /api/invoices/[id].js
+
+import { getInvoice, setInvoicePaid } from '../_lib/invoices.js';
+import { requireApiKey } from '../_lib/auth.js';
+
+// --- GET: fetch an invoice, PATCH { paid }: mark it paid or unpaid ---
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const invoice = await getInvoice(id);
+      if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+      return res.status(200).json(invoice);
+    }
+
+    if (req.method === 'PATCH') {
+      const { paid } = req.body || {};
+      if (typeof paid !== 'boolean') {
+        return res.status(400).json({ error: 'Missing paid' });
+      }
+
+      const invoice = await setInvoicePaid(id, paid);
+      if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+      return res.status(200).json(invoice);
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    console.error(`Error in /api/invoices/${id}:`, err);
+    return res.status(500).json({
+      error: 'Failed to access the invoice',
+      details: err.message,
+    });
+  }
+}
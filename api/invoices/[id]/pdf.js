@@ -0,0 +1,34 @@
+// /api/invoices/[id]/pdf.js
+// GET ?template=modern&download=1 → the invoice as a PDF, in the same
+// templates as quotes.
+
+import { getInvoice } from '../../_lib/invoices.js';
+import { buildInvoiceDocument, isTemplate, renderPdf, sendPdf } from '../../_lib/pdf/index.js';
+import { requireApiKey } from '../../_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  const { id, template, download } = req.query;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (template !== undefined && !isTemplate(template)) {
+    return res.status(400).json({ error: `Unknown template "${template}"` });
+  }
+
+  try {
+    const invoice = await getInvoice(id);
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+
+    const pdf = await renderPdf(buildInvoiceDocument(invoice), { template });
+    return sendPdf(res, pdf, { filename: invoice.id, download: download === '1' || download === 'true' });
+  } catch (err) {
+    console.error(`Error in /api/invoices/${id}/pdf:`, err);
+    return res.status(500).json({
+      error: 'Failed to create the PDF',
+      details: err.message,
+    });
+  }
+}
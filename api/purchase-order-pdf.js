@@ -0,0 +1,40 @@
+// /api/purchase-order-pdf.js
+// POST { quote, supplier, requiredBy, template, download } → application/pdf.
+// The purchase order for one supplier's share of the quote's materials, as
+// grouped by src/lib/purchaseOrders.js. `requiredBy` is printed as given.
+
+import { buildPurchaseOrderDocument, isTemplate, renderPdf, sendPdf } from './_lib/pdf/index.js';
+import { buildPurchaseOrders } from '../src/lib/purchaseOrders.js';
+import { requireApiKey } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { quote, supplier, requiredBy, template, download } = req.body || {};
+  if (!quote || typeof quote !== 'object') {
+    return res.status(400).json({ error: 'Missing quote' });
+  }
+  if (!supplier) {
+    return res.status(400).json({ error: 'Missing supplier' });
+  }
+  if (template !== undefined && !isTemplate(template)) {
+    return res.status(400).json({ error: `Unknown template "${template}"` });
+  }
+
+  try {
+    const { orders, deliverTo } = buildPurchaseOrders(quote, { requiredBy: String(requiredBy || '') });
+    const order = orders.find(o => o.supplier === supplier);
+    if (!order) return res.status(404).json({ error: `Nothing to order from ${supplier}` });
+
+    const model = buildPurchaseOrderDocument(order, { quote, deliverTo, requiredBy: String(requiredBy || '') });
+    const pdf = await renderPdf(model, { template });
+    return sendPdf(res, pdf, { filename: order.number, download: !!download });
+  } catch (err) {
+    console.error('Error in /api/purchase-order-pdf:', err);
+    return res.status(500).json({ error: 'Failed to create the PDF', details: err.message });
+  }
+}
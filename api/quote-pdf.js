@@ -0,0 +1,31 @@
+// /api/quote-pdf.js
+// POST { quote, template, download } → application/pdf. Renders the quote as
+// sent, so unsaved edits are included; saved quotes can also be fetched from
+// GET /api/quotes/:id/pdf. `template` is one of src/lib/pdfTemplates.js.
+
+import { buildQuoteDocument, isTemplate, renderPdf, sendPdf } from './_lib/pdf/index.js';
+import { requireApiKey } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { quote, template, download } = req.body || {};
+  if (!quote || typeof quote !== 'object') {
+    return res.status(400).json({ error: 'Missing quote' });
+  }
+  if (template !== undefined && !isTemplate(template)) {
+    return res.status(400).json({ error: `Unknown template "${template}"` });
+  }
+
+  try {
+    const pdf = await renderPdf(buildQuoteDocument(quote), { template });
+    return sendPdf(res, pdf, { filename: quote.customerQuote?.quoteNumber || 'quote', download: !!download });
+  } catch (err) {
+    console.error('Error in /api/quote-pdf:', err);
+    return res.status(500).json({ error: 'Failed to create the PDF', details: err.message });
+  }
+}
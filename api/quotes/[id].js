@@ -0,0 +1,44 @@
+// /api/quotes/[id].js
+
+import { deleteQuote, getQuote, toResponse, updateQuote } from '../_lib/quotes.js';
+import { requireApiKey } from '../_lib/auth.js';
+
+// --- GET: fetch, PUT: replace, DELETE: remove a saved quote ---
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const record = await getQuote(id);
+      if (!record) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(200).json(toResponse(record));
+    }
+
+    if (req.method === 'PUT') {
+      const { quote } = req.body || {};
+      if (!quote || typeof quote !== 'object') {
+        return res.status(400).json({ error: 'Missing quote' });
+      }
+
+      const record = await updateQuote(id, quote);
+      if (!record) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(200).json(toResponse(record));
+    }
+
+    if (req.method === 'DELETE') {
+      const deleted = await deleteQuote(id);
+      if (!deleted) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(204).end();
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    console.error(`Error in /api/quotes/${id}:`, err);
+    return res.status(500).json({
+      error: 'Failed to access saved quote',
+      details: err.message,
+    });
+  }
+}
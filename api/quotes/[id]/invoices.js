@@ -0,0 +1,61 @@
+// /api/quotes/[id]/invoices.js
+// Invoices raised against a saved quote.
+//   GET                                           → { invoices } oldest first
+//   POST { type, percent, description, dueDays }  → the new invoice
+// `type` is "deposit" or "interim" (with a `percent` of the quote) or "final".
+
+import { InvoiceError, createInvoice, listInvoices } from '../../_lib/invoices.js';
+import { INVOICE_TYPES } from '../../../src/lib/invoices.js';
+import { requireApiKey } from '../../_lib/auth.js';
+
+function validateInvoiceRequest({ type, percent, dueDays }) {
+  if (!INVOICE_TYPES.some(t => t.id === type)) {
+    return `Invoice type must be one of: ${INVOICE_TYPES.map(t => t.id).join(', ')}`;
+  }
+  if (type !== 'final' && !(Number(percent) > 0 && Number(percent) < 100)) {
+    return 'Percent must be more than 0 and less than 100';
+  }
+  if (dueDays !== undefined && !(Number.isInteger(Number(dueDays)) && Number(dueDays) >= 0)) {
+    return 'Due days must be a whole number of days';
+  }
+  return null;
+}
+
+// --- GET: list invoices, POST: raise the next invoice ---
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ invoices: await listInvoices(id) });
+    }
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      const problem = validateInvoiceRequest(body);
+      if (problem) return res.status(400).json({ error: problem });
+
+      const invoice = await createInvoice(id, {
+        type: body.type,
+        percent: Number(body.percent),
+        description: body.description,
+        dueDays: body.dueDays === undefined ? undefined : Number(body.dueDays),
+      });
+      if (!invoice) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(201).json(invoice);
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    if (err instanceof InvoiceError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`Error in /api/quotes/${id}/invoices:`, err);
+    return res.status(500).json({
+      error: 'Failed to access invoices',
+      details: err.message,
+    });
+  }
+}
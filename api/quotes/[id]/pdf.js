@@ -0,0 +1,40 @@
+// /api/quotes/[id]/pdf.js
+// GET ?template=modern&revision=B&download=1 → the saved quote as a PDF.
+// Without `revision` the current working copy is rendered.
+
+import { getQuote } from '../../_lib/quotes.js';
+import { buildQuoteDocument, isTemplate, renderPdf, sendPdf } from '../../_lib/pdf/index.js';
+import { requireApiKey } from '../../_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  const { id, template, revision, download } = req.query;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (template !== undefined && !isTemplate(template)) {
+    return res.status(400).json({ error: `Unknown template "${template}"` });
+  }
+
+  try {
+    const record = await getQuote(id);
+    if (!record) return res.status(404).json({ error: 'Quote not found' });
+
+    const quote = revision
+      ? record.revisions?.find(r => r.letter === String(revision).toUpperCase())?.quote
+      : record.quote;
+    if (!quote) return res.status(404).json({ error: `Revision ${revision} not found` });
+
+    const pdf = await renderPdf(buildQuoteDocument(quote), { template });
+    const filename = [record.id, revision && String(revision).toUpperCase()].filter(Boolean).join('-');
+    return sendPdf(res, pdf, { filename, download: download === '1' || download === 'true' });
+  } catch (err) {
+    console.error(`Error in /api/quotes/${id}/pdf:`, err);
+    return res.status(500).json({
+      error: 'Failed to create the PDF',
+      details: err.message,
+    });
+  }
+}
@@ -0,0 +1,38 @@
+// /api/quotes/[id]/revisions.js
+
+import { addRevision, getQuote } from '../../_lib/quotes.js';
+import { requireApiKey } from '../../_lib/auth.js';
+
+// --- GET: revision history, POST: issue a new revision ---
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const record = await getQuote(id);
+      if (!record) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(200).json({ id: record.id, revisions: record.revisions || [] });
+    }
+
+    if (req.method === 'POST') {
+      const { note, quote } = req.body || {};
+      if (quote !== undefined && (!quote || typeof quote !== 'object')) {
+        return res.status(400).json({ error: 'Invalid quote' });
+      }
+
+      const record = await addRevision(id, { note, quote });
+      if (!record) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(201).json(record.revisions[record.revisions.length - 1]);
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    console.error(`Error in /api/quotes/${id}/revisions:`, err);
+    return res.status(500).json({
+      error: 'Failed to access quote revisions',
+      details: err.message,
+    });
+  }
+}
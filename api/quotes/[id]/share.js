@@ -0,0 +1,44 @@
+// /api/quotes/[id]/share.js
+// The customer link for a saved quote. The link itself is served by
+// /api/share/[token] and opened in the app at /q/<token>.
+
+import { QuoteResponseError, getShare, revokeShare, shareQuote } from '../../_lib/shares.js';
+import { requireApiKey } from '../../_lib/auth.js';
+
+// --- GET: link and status, POST: share (or re-share) the working copy, DELETE: revoke the link ---
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      const share = await getShare(id);
+      if (!share) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(200).json(share);
+    }
+
+    if (req.method === 'POST') {
+      const share = await shareQuote(id);
+      if (!share) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(200).json(share);
+    }
+
+    if (req.method === 'DELETE') {
+      const share = await revokeShare(id);
+      if (!share) return res.status(404).json({ error: 'Quote not found' });
+      return res.status(200).json(share);
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    if (err instanceof QuoteResponseError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`Error in /api/quotes/${id}/share:`, err);
+    return res.status(500).json({
+      error: 'Failed to share the quote',
+      details: err.message,
+    });
+  }
+}
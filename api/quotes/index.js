@@ -0,0 +1,37 @@
+// /api/quotes/index.js
+
+import { createQuote, listQuotes, toResponse } from '../_lib/quotes.js';
+import { requireApiKey } from '../_lib/auth.js';
+
+// --- GET: list saved quotes, POST: save a new quote ---
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  try {
+    if (req.method === 'GET') {
+      const { search, page, pageSize } = req.query;
+      return res.status(200).json(await listQuotes({ search, page, pageSize }));
+    }
+
+    if (req.method === 'POST') {
+      const { quote } = req.body || {};
+      if (!quote || typeof quote !== 'object') {
+        return res.status(400).json({ error: 'Missing quote' });
+      }
+
+      const record = await createQuote(quote);
+      if (!record) {
+        return res.status(409).json({ error: 'A quote with this number already exists' });
+      }
+      return res.status(201).json(toResponse(record));
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    console.error('Error in /api/quotes:', err);
+    return res.status(500).json({
+      error: 'Failed to access saved quotes',
+      details: err.message,
+    });
+  }
+}
@@ -0,0 +1,49 @@
+// /api/refine-quote.js
+// POST { quote, sectionId, instruction } → { patch, warnings }: the changes to
+// one section needed for a follow-up instruction such as "swap to 150mm
+// sub-base". The client previews the patch and applies it with
+// applyQuotePatch (src/lib/patch.js); untouched rows keep their selections.
+
+import { getProvider } from './_lib/llm/index.js';
+import { getCatalogue } from './_lib/catalogue/index.js';
+import { refineSection } from './_lib/refine.js';
+import { PlanValidationError } from './_lib/plan.js';
+import { requireApiKey } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { quote, sectionId, instruction } = req.body || {};
+  if (!quote || typeof quote !== 'object') {
+    return res.status(400).json({ error: 'Missing quote' });
+  }
+  if (!String(instruction || '').trim()) {
+    return res.status(400).json({ error: 'Missing instruction' });
+  }
+
+  try {
+    const result = await refineSection(
+      { quote, sectionId, instruction: String(instruction).trim() },
+      { llm: getProvider(), catalogue: getCatalogue() }
+    );
+    return res.status(200).json(result);
+  } catch (err) {
+    if (err instanceof PlanValidationError) {
+      console.error('Invalid patch from /api/refine-quote:', err.errors);
+      return res.status(422).json({
+        error: 'The requested change could not be validated',
+        errors: err.errors,
+        warnings: err.warnings,
+      });
+    }
+    console.error('Error in /api/refine-quote:', err);
+    return res.status(500).json({
+      error: 'Failed to refine the quote',
+      details: err.message,
+    });
+  }
+}
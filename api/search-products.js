@@ -0,0 +1,30 @@
+// /api/search-products.js
+
+import { getCatalogue } from './_lib/catalogue/index.js';
+import { cachedSearch } from './_lib/matching.js';
+import { requireApiKey } from './_lib/auth.js';
+
+// --- Catalogue search used by the "Manually Select" typeahead ---
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const query = String(req.query.q || '').trim();
+  if (query.length < 2) {
+    return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+  }
+
+  try {
+    const { results } = await cachedSearch(getCatalogue(), query, { limit: 10 });
+    return res.status(200).json({ query, results });
+  } catch (err) {
+    console.error('Error in /api/search-products:', err);
+    return res.status(500).json({
+      error: 'Failed to search products',
+      details: err.message,
+    });
+  }
+}
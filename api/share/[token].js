@@ -0,0 +1,51 @@
+// /api/share/[token].js
+// The customer's side of a shared quote. No login: the token in the URL is
+// the only key, and it only ever exposes the quote as it was shared.
+//   GET                               → { quote, status, validUntil, response }
+//   POST { decision, name }           → the same, after recording the response
+// `decision` is "accept" or "decline"; `name` is the customer's typed name.
+
+import { QuoteResponseError, respondToSharedQuote, viewSharedQuote } from '../_lib/shares.js';
+
+const DECISIONS = ['accept', 'decline'];
+const MAX_NAME_LENGTH = 120;
+
+export default async function handler(req, res) {
+  const { token } = req.query;
+  // Quotes carry customer names and addresses; keep them out of shared caches
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (req.method === 'GET') {
+      const shared = await viewSharedQuote(token);
+      if (!shared) return res.status(404).json({ error: 'This link is not valid or has been withdrawn' });
+      return res.status(200).json(shared);
+    }
+
+    if (req.method === 'POST') {
+      const { decision } = req.body || {};
+      const name = String(req.body?.name || '').trim();
+      if (!DECISIONS.includes(decision)) {
+        return res.status(400).json({ error: 'Decision must be "accept" or "decline"' });
+      }
+      if (!name || name.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: 'Please type your full name' });
+      }
+
+      const shared = await respondToSharedQuote(token, { decision, name });
+      if (!shared) return res.status(404).json({ error: 'This link is not valid or has been withdrawn' });
+      return res.status(200).json(shared);
+    }
+
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (err) {
+    if (err instanceof QuoteResponseError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error in /api/share:', err);
+    return res.status(500).json({
+      error: 'Failed to load the quote',
+      details: err.message,
+    });
+  }
+}
@@ -0,0 +1,68 @@
+// src/AddSectionForm.jsx
+import React, { useState } from 'react';
+import { Plus } from 'lucide-react';
+
+// Adds another piece of work to the quote, e.g. "Side fence" alongside a patio
+export default function AddSectionForm({ disabled, onAdd }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!description.trim()) return;
+    onAdd({ name: name.trim(), description: description.trim() });
+    setName('');
+    setDescription('');
+    setIsOpen(false);
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        type="button"
+        onClick={() => setIsOpen(true)}
+        disabled={disabled}
+        className="flex items-center gap-1 text-sm text-teal-700 hover:underline disabled:opacity-50"
+      >
+        <Plus size={16} /> Add section
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-dashed border-gray-300 rounded-lg p-4 space-y-3">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Section name, e.g. Side fence"
+        className="w-full p-2 border border-gray-300 rounded-md text-sm"
+      />
+      <textarea
+        rows="3"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Describe this part of the job, e.g. Replace 8m of side fence with concrete posts and gravel boards."
+        className="w-full p-2 border border-gray-300 rounded-md text-sm"
+        required
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={disabled || !description.trim()}
+          className="bg-teal-700 hover:bg-teal-800 text-white px-4 py-2 rounded text-sm disabled:opacity-50"
+        >
+          Generate section
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsOpen(false)}
+          className="px-4 py-2 rounded text-sm border hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
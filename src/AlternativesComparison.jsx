@@ -0,0 +1,64 @@
+// src/AlternativesComparison.jsx
+import React from 'react';
+import { Check } from 'lucide-react';
+import { ALTERNATIVE_TIERS } from './lib/alternatives';
+import { getMaterialsTotal } from './lib/materials';
+
+const formatPrice = (value) => `£${(Number(value) || 0).toFixed(2)}`;
+const tierLabel = (tier) => ALTERNATIVE_TIERS.find(t => t.id === tier)?.label || tier;
+
+// Good/better/best options for a section side by side, with the quote total
+// each would give. Choosing one swaps it into the section's materials.
+export default function AlternativesComparison({ alternatives, onSelect }) {
+  if (!alternatives.length) return null;
+
+  return (
+    <div className="grid gap-4 md:grid-cols-3">
+      {alternatives.map(alt => (
+        <div
+          key={alt.id}
+          className={`border rounded-lg p-4 flex flex-col gap-3 text-sm ${
+            alt.selected ? 'border-teal-600 bg-teal-50' : 'border-gray-200'
+          }`}
+        >
+          <div>
+            <span className="text-xs font-semibold uppercase tracking-wide text-teal-800">{tierLabel(alt.tier)}</span>
+            <h5 className="font-semibold text-gray-800">{alt.name}</h5>
+            {alt.summary && <p className="text-gray-600 mt-1">{alt.summary}</p>}
+          </div>
+
+          <ul className="text-gray-700 space-y-0.5 flex-1">
+            {alt.materials.map(m => (
+              <li key={m.id}>{m.name}: {m.quantity} {m.unit}</li>
+            ))}
+          </ul>
+
+          <div className="border-t pt-2 space-y-1">
+            <div className="flex justify-between">
+              <span>Materials:</span>
+              <span>{formatPrice(getMaterialsTotal(alt.materials))}</span>
+            </div>
+            <div className="flex justify-between font-semibold">
+              <span>Quote total (inc. VAT):</span>
+              <span>{formatPrice(alt.totals.total)}</span>
+            </div>
+          </div>
+
+          {alt.selected ? (
+            <span className="flex items-center justify-center gap-1 text-teal-800 font-medium">
+              <Check size={16} /> In use
+            </span>
+          ) : (
+            <button
+              type="button"
+              onClick={() => onSelect(alt.id)}
+              className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-3 py-1.5 rounded"
+            >
+              Use this option
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,19 +1,41 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import JobInput from './JobInput';
 import QuoteDetailsForm from './QuoteDetailsForm';
 import TierSelector from './TierSelector';
 import GenerateButton from './GenerateButton';
 import QuoteOutput from './QuoteOutput';
+import GenerationProgress from './GenerationProgress';
+import ClarifyingQuestions from './ClarifyingQuestions';
+import JobParametersForm from './JobParametersForm';
+import { DEFAULT_LABOUR_RATES, applyDefaultRates } from './lib/labour';
+import { migrateLocalQuotes, saveQuote } from './lib/quotesApi';
+import { collectAnswers, generateQuote } from './lib/generateApi';
+import { calculateJob, getDefaultParameters } from './lib/calculators';
+
+const SAVE_DEBOUNCE_MS = 800;
 
 export default function App() {
   const [jobDescription, setJobDescription] = useState('');
+  // 'describe' for free text only, 'parameters' to calculate materials from measurements
+  const [inputMode, setInputMode] = useState('describe');
+  const [jobParameters, setJobParameters] = useState({
+    type: 'patio',
+    values: getDefaultParameters('patio'),
+  });
+  // Clarifying questions for the description: { questions, answers, askedFor }
+  const [clarifying, setClarifying] = useState(null);
   const [selectedTier, setSelectedTier] = useState(1);
   const [quote, setQuote] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  // Streamed progress while a quote is generated: { message, materials, matched }
+  const [progress, setProgress] = useState(null);
   const [companyDetails, setCompanyDetails] = useState({ name: '', address: '' });
   const [customerDetails, setCustomerDetails] = useState({ name: '', address: '' });
   const [vatRate, setVatRate] = useState(20);
+  const [labourRates, setLabourRates] = useState(DEFAULT_LABOUR_RATES);
   const [logo, setLogo] = useState(null);
+  // The last quote we know the server has, so loading a quote doesn't re-save it
+  const persistedQuote = useRef(null);
 
   useEffect(() => {
     // We are removing the loading of the last quote on page load
@@ -22,25 +44,77 @@ export default function App() {
     const savedCompany = localStorage.getItem('companyDetails');
     const savedCustomer = localStorage.getItem('customerDetails');
     const savedVat = localStorage.getItem('vatRate');
+    const savedLabourRates = localStorage.getItem('labourRates');
 
     if (savedCompany) setCompanyDetails(JSON.parse(savedCompany));
+    if (savedLabourRates) setLabourRates({ ...DEFAULT_LABOUR_RATES, ...JSON.parse(savedLabourRates) });
     if (savedCustomer) setCustomerDetails(JSON.parse(savedCustomer));
     if (savedVat) setVatRate(Number(savedVat));
+    const savedLogo = localStorage.getItem('logo');
+    if (savedLogo) setLogo(savedLogo);
+
+    migrateLocalQuotes();
   }, []);
 
+  // Save the open quote to the server, debounced so editing doesn't flood the API
   useEffect(() => {
-    if (quote) {
-      localStorage.setItem('atp_last_quote', JSON.stringify(quote));
-      if (quote.customerQuote?.quoteNumber) {
-        localStorage.setItem(`quote_${quote.customerQuote.quoteNumber}`, JSON.stringify(quote));
+    if (!quote?.customerQuote?.quoteNumber || quote === persistedQuote.current) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const record = await saveQuote(quote);
+        persistedQuote.current = quote;
+
+        // The server assigns the revision letter when a quote is first saved
+        const revision = record.quote.customerQuote?.revision;
+        if (revision && revision !== quote.customerQuote.revision) {
+          const synced = { ...quote, customerQuote: { ...quote.customerQuote, revision } };
+          persistedQuote.current = synced;
+          setQuote(current => (current === quote ? synced : current));
+        }
+      } catch (err) {
+        console.error('Failed to save quote:', err);
       }
-    }
+    }, SAVE_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
   }, [quote]);
 
+  const handleLoadQuote = (loaded) => {
+    persistedQuote.current = loaded;
+    setQuote(loaded);
+  };
+
   useEffect(() => {
     localStorage.setItem('companyDetails', JSON.stringify(companyDetails));
   }, [companyDetails]);
 
+  useEffect(() => {
+    if (logo) {
+      try {
+        localStorage.setItem('logo', logo);
+      } catch (err) {
+        // A large logo can exceed the storage quota; it still works for this session
+        console.warn('Could not save the logo:', err);
+      }
+    } else {
+      localStorage.removeItem('logo');
+    }
+  }, [logo]);
+
+  // Quotes keep the company details, terms, logo and VAT rate they were
+  // created with unless the user explicitly brings the open one up to date
+  const handleApplyCompanyDetails = () => {
+    setQuote(q => ({
+      ...q,
+      customerQuote: { ...q.customerQuote, company: companyDetails, logo: logo || null, vatRate },
+    }));
+  };
+
+  useEffect(() => {
+    localStorage.setItem('labourRates', JSON.stringify(labourRates));
+  }, [labourRates]);
+
   useEffect(() => {
     localStorage.setItem('customerDetails', JSON.stringify(customerDetails));
   }, [customerDetails]);
@@ -49,38 +123,70 @@ export default function App() {
     localStorage.setItem('vatRate', vatRate);
   }, [vatRate]);
 
+  // In parameters mode the free text becomes notes added to the calculated description
+  const useParameters = inputMode === 'parameters';
+  const effectiveDescription = useParameters
+    ? [calculateJob(jobParameters.type, jobParameters.values).description, jobDescription.trim()]
+      .filter(Boolean)
+      .join('\n')
+    : jobDescription;
+
+  // Applies one streamed generation event to the progress view
+  const handleProgressEvent = (event) => {
+    setProgress(current => {
+      const next = { ...current };
+      if (event.type === 'status') next.message = event.message;
+      if (event.type === 'plan') next.materials = event.materials;
+      if (event.type === 'material') {
+        next.materials = next.materials.map((m, i) => (i === event.index ? event.material : m));
+        next.matched = event.done;
+        next.message = `Matching products: ${event.done}/${event.total}`;
+      }
+      return next;
+    });
+  };
+
   const handleGenerateQuote = async () => {
     setIsLoading(true);
     setQuote(null); // Clear previous quote
+    setProgress({ message: 'Identifying the project type...', materials: [], matched: 0 });
     try {
-      const response = await fetch('/api/generate-quote', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ jobDescription }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`API request failed with status ${response.status}`);
-      }
-      
-      const result = await response.json();
+      const answers = collectAnswers(clarifying?.questions, clarifying?.answers);
+      const { timings, ...result } = await generateQuote(
+        {
+          jobDescription: effectiveDescription,
+          jobParameters: useParameters ? jobParameters : undefined,
+          answers,
+        },
+        { onEvent: handleProgressEvent }
+      );
+      if (timings) console.info('Quote generation timings', timings);
 
       const customerQuote = {
         ...result.customerQuote, // Spread the fields from the AI response
         quoteNumber: `Q-${Date.now()}`,
         date: new Date().toLocaleDateString('en-GB'),
-        projectDescription: jobDescription,
+        projectDescription: effectiveDescription,
         company: companyDetails,
         customer: customerDetails,
+        vatRate,
         logo: logo || null,
       };
 
-      setQuote({ ...result, customerQuote });
+      const labour = applyDefaultRates(result.labour, labourRates);
+
+      setQuote({ ...result, labour, customerQuote });
     } catch (error) {
-      alert('Failed to generate quote. Please check the console for details.');
+      const problems = (error.details || []).slice(0, 5).map(e => `• ${e.path}: ${e.message}`);
+      alert(
+        problems.length
+          ? `${error.message}:\n${problems.join('\n')}\n\nPlease try again or rephrase the description.`
+          : 'Failed to generate quote. Please check the console for details.'
+      );
       console.error(error);
     } finally {
       setIsLoading(false);
+      setProgress(null);
     }
   };
 
@@ -109,31 +215,78 @@ export default function App() {
           <p className="text-sm text-gray-500">Built to British Building Standards</p>
         </header>
 
-        <JobInput jobDescription={jobDescription} setJobDescription={setJobDescription} />
+        <div className="flex justify-center gap-2" role="group" aria-label="How to describe the job">
+          {[
+            { id: 'describe', label: 'Describe the job' },
+            { id: 'parameters', label: 'Enter measurements' },
+          ].map(mode => (
+            <button
+              key={mode.id}
+              type="button"
+              onClick={() => setInputMode(mode.id)}
+              aria-pressed={inputMode === mode.id}
+              className={`px-4 py-2 rounded border text-sm ${
+                inputMode === mode.id ? 'bg-teal-50 border-teal-600 text-teal-900' : 'bg-white hover:bg-gray-50'
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+
+        {useParameters && (
+          <JobParametersForm jobParameters={jobParameters} setJobParameters={setJobParameters} />
+        )}
+
+        <JobInput
+          jobDescription={jobDescription}
+          setJobDescription={setJobDescription}
+          {...(useParameters && {
+            label: 'Additional notes (optional)',
+            placeholder: 'e.g., Rear garden, side access only, existing lawn to be removed.',
+          })}
+        />
+
+        <ClarifyingQuestions
+          jobDescription={effectiveDescription}
+          clarifying={clarifying}
+          setClarifying={setClarifying}
+        />
 
         {selectedTier === 3 && (
           <QuoteDetailsForm
             companyDetails={companyDetails}
             setCompanyDetails={setCompanyDetails}
+            labourRates={labourRates}
+            setLabourRates={setLabourRates}
             customerDetails={customerDetails}
             setCustomerDetails={setCustomerDetails}
             vatRate={vatRate}
             setVatRate={setVatRate}
             logo={logo}
             setLogo={setLogo}
+            onApplyToQuote={quote ? handleApplyCompanyDetails : undefined}
           />
         )}
 
         <TierSelector selectedTier={selectedTier} setSelectedTier={setSelectedTier} />
 
-        <GenerateButton loading={isLoading} onClick={handleGenerateQuote} />
+        <GenerateButton
+          loading={isLoading}
+          progressMessage={progress?.message}
+          onClick={handleGenerateQuote}
+        />
+
+        {isLoading && <GenerationProgress progress={progress} />}
 
         {/* [!important] Only render the output if a quote exists */}
         {quote && (
           <QuoteOutput
             quote={quote}
             setQuote={setQuote}
+            onLoadQuote={handleLoadQuote}
             selectedTier={selectedTier}
+            labourRates={labourRates}
             onAddToCart={handleAddToCart}
           />
         )}
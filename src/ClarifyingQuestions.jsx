@@ -0,0 +1,98 @@
+// src/ClarifyingQuestions.jsx
+import React, { useState } from 'react';
+import { fetchClarifyingQuestions } from './lib/generateApi';
+
+// Optional step before generating: the model asks about the details a short
+// description leaves out, and the answers go into the plan as assumptions.
+export default function ClarifyingQuestions({ jobDescription, clarifying, setClarifying }) {
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { questions = [], answers = {}, askedFor } = clarifying || {};
+
+  const handleAsk = async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const result = await fetchClarifyingQuestions(jobDescription);
+      // Keep answers to questions that were asked again
+      const kept = Object.fromEntries(
+        result.questions.filter(q => answers[q.id] !== undefined).map(q => [q.id, answers[q.id]])
+      );
+      setClarifying({ questions: result.questions, answers: kept, askedFor: jobDescription });
+      if (result.questions.length === 0) setError('No questions needed, the description looks complete.');
+    } catch (err) {
+      console.error('Failed to fetch clarifying questions:', err);
+      setError('Could not fetch questions. You can still generate the quote.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const setAnswer = (id, value) => {
+    setClarifying({ ...clarifying, answers: { ...answers, [id]: value } });
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+      <div className="flex items-center justify-between gap-4 flex-wrap">
+        <div>
+          <h3 className="text-sm font-medium text-gray-700">Clarifying questions (optional)</h3>
+          <p className="text-xs text-gray-500">
+            Answer a few questions so the plan doesn't have to guess. Your answers are saved with the quote.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleAsk}
+          disabled={isLoading || !jobDescription.trim()}
+          className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-4 py-2 rounded text-sm disabled:opacity-50"
+        >
+          {isLoading ? 'Thinking...' : questions.length ? 'Ask again' : 'Ask questions'}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-gray-600">{error}</p>}
+
+      {questions.length > 0 && askedFor !== jobDescription && (
+        <p className="text-xs text-amber-700">
+          The description has changed since these questions were asked.
+        </p>
+      )}
+
+      {questions.map(q => (
+        <div key={q.id}>
+          <label htmlFor={`clarify-${q.id}`} className="block text-sm text-gray-700 mb-1">
+            {q.question}
+          </label>
+          {q.type === 'choice' ? (
+            <select
+              id={`clarify-${q.id}`}
+              value={answers[q.id] ?? ''}
+              onChange={(e) => setAnswer(q.id, e.target.value)}
+              className={inputClass}
+            >
+              <option value="">No preference</option>
+              {q.options.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          ) : (
+            <div className="flex items-center gap-2">
+              <input
+                id={`clarify-${q.id}`}
+                type={q.type === 'number' ? 'number' : 'text'}
+                min={q.type === 'number' ? 0 : undefined}
+                value={answers[q.id] ?? ''}
+                onChange={(e) => setAnswer(q.id, e.target.value)}
+                className={inputClass}
+              />
+              {q.unit && <span className="text-sm text-gray-500">{q.unit}</span>}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,22 +1,41 @@
 // src/CustomerQuote.jsx
 import React from 'react';
+import { LABOUR_UNITS, getLabourLineTotal } from './lib/labour';
+import { REVERSE_CHARGE_NOTE } from './lib/vat';
+import { formatDate, getQuoteTerms } from './lib/terms';
 
-export default function CustomerQuote({ customerQuote, totalMaterialsCost }) {
-  if (!customerQuote) return null;
+const unitLabel = (unit, quantity) => {
+  const label = LABOUR_UNITS.find(u => u.id === unit)?.label.toLowerCase() || unit;
+  return quantity === 1 ? label.replace(/s$/, '') : label;
+};
 
-  const labourHours = customerQuote.labourHours || 0;
-  const hourlyRate = customerQuote.hourlyRate || 25;
-  const vatRate = customerQuote.vatRate ?? 0.2;
+const formatRate = (rate) => `${Number(rate.toFixed(2))}%`;
 
-  const labourCost = labourHours * hourlyRate;
-  const subtotal = totalMaterialsCost + labourCost;
-  const vatAmount = subtotal * vatRate;
-  const total = subtotal + vatAmount;
+const vatLineLabel = (line) => {
+  const net = `£${line.net.toFixed(2)}`;
+  if (line.reverseCharge) return `${line.label} (${formatRate(line.rate)} on ${net}):`;
+  if (line.rate === 0) return `${line.label} (${net}):`;
+  if (line.treatment === 'standard') return `VAT @ ${formatRate(line.rate)} on ${net}:`;
+  return `${line.label}, VAT @ ${formatRate(line.rate)} on ${net}:`;
+};
+
+export default function CustomerQuote({
+  customerQuote,
+  clarifications = [],
+  labour = [],
+  sectionTotals = [],
+  options = [],
+  onSelectOption,
+  totals,
+}) {
+  if (!customerQuote || !totals) return null;
+  const terms = getQuoteTerms(customerQuote);
 
   return (
     <div className="space-y-6 text-sm text-[#275262]">
       <div>
-        <strong>Quote #:</strong> {customerQuote.quoteNumber}<br />
+        <strong>Quote #:</strong> {customerQuote.quoteNumber}
+        {customerQuote.revision && <> (Revision {customerQuote.revision})</>}<br />
         <strong>Date:</strong> {customerQuote.date}
       </div>
 
@@ -28,34 +47,143 @@ export default function CustomerQuote({ customerQuote, totalMaterialsCost }) {
         </p>
       </div>
 
+      {clarifications.length > 0 && (
+        <div>
+          <strong>Assumptions:</strong>
+          <ul className="mt-1 text-gray-700 list-disc pl-5">
+            {clarifications.map(c => (
+              <li key={c.id}>{c.question} {c.answer}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div>
         <strong>Estimated Labour:</strong>
-        <p className="mt-1 text-gray-700">
-          {labourHours} hours @ £{hourlyRate}/hr = <strong>£{labourCost.toFixed(2)}</strong>
-        </p>
+        {labour.length > 0 ? (
+          <ul className="mt-1 text-gray-700 space-y-1">
+            {labour.map(item => (
+              <li key={item.id} className="flex justify-between gap-4">
+                <span>
+                  {item.trade}{item.phase ? ` – ${item.phase}` : ''}: {item.quantity}{' '}
+                  {unitLabel(item.unit, item.quantity)} @ £{(Number(item.rate) || 0).toFixed(2)}/{item.unit}
+                </span>
+                <span>£{getLabourLineTotal(item).toFixed(2)}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-1 text-gray-700">No labour included.</p>
+        )}
       </div>
 
+      {sectionTotals.length > 0 && (
+        <div>
+          <strong>Works:</strong>
+          <table className="w-full mt-1 text-gray-700">
+            <thead>
+              <tr className="text-xs text-gray-500">
+                <th className="text-left font-normal">Section</th>
+                <th className="text-right font-normal">Materials</th>
+                <th className="text-right font-normal">Labour</th>
+                <th className="text-right font-normal">Subtotal (ex. VAT)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sectionTotals.map(section => (
+                <tr key={section.id}>
+                  <td>{section.name}</td>
+                  <td className="text-right">£{section.materials.toFixed(2)}</td>
+                  <td className="text-right">£{section.labour.toFixed(2)}</td>
+                  <td className="text-right">£{section.net.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {options.map(({ section, alternatives }) => (
+        <fieldset key={section.id}>
+          <legend className="font-bold">
+            Options{options.length > 1 || sectionTotals.length > 0 ? ` for ${section.name}` : ''}:
+          </legend>
+          <p className="text-xs text-gray-500">The total below includes the selected option.</p>
+          <ul className="mt-1 text-gray-700 space-y-1">
+            {alternatives.map(alt => (
+              <li key={alt.id}>
+                <label className="flex justify-between gap-4">
+                  <span>
+                    {onSelectOption ? (
+                      <input
+                        type="radio"
+                        name={`option-${section.id}`}
+                        checked={alt.selected}
+                        onChange={() => onSelectOption(section.id, alt.id)}
+                        className="mr-2"
+                      />
+                    ) : (alt.selected ? '● ' : '○ ')}
+                    {alt.name}
+                    {alt.summary && <span className="block text-xs text-gray-500 ml-6">{alt.summary}</span>}
+                  </span>
+                  <span>£{alt.totals.total.toFixed(2)} inc. VAT</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        </fieldset>
+      ))}
+
       <div className="border-t border-gray-300 pt-4">
         <div className="flex justify-between">
           <span>Materials:</span>
-          <span>£{totalMaterialsCost.toFixed(2)}</span>
+          <span>£{(totals.materials - totals.wasteAllowance).toFixed(2)}</span>
         </div>
+        {totals.wasteAllowance > 0 && (
+          <div className="flex justify-between">
+            <span>
+              Waste & breakage allowance:
+              <span className="block text-xs text-gray-500">
+                Extra material for cutting, breakage and spillage, so quantities exceed the bare area.
+              </span>
+            </span>
+            <span>£{totals.wasteAllowance.toFixed(2)}</span>
+          </div>
+        )}
         <div className="flex justify-between">
           <span>Labour:</span>
-          <span>£{labourCost.toFixed(2)}</span>
+          <span>£{totals.labour.toFixed(2)}</span>
         </div>
-        <div className="flex justify-between">
-          <span>VAT ({(vatRate * 100).toFixed(0)}%):</span>
-          <span>£{vatAmount.toFixed(2)}</span>
+        <div className="flex justify-between border-t pt-2 mt-2">
+          <span>Subtotal (ex. VAT):</span>
+          <span>£{totals.net.toFixed(2)}</span>
         </div>
+        {totals.vatLines.map(line => (
+          <div key={line.treatment} className="flex justify-between">
+            <span>{vatLineLabel(line)}</span>
+            <span>{line.reverseCharge ? 'Not charged' : `£${line.vat.toFixed(2)}`}</span>
+          </div>
+        ))}
         <div className="flex justify-between font-bold text-[#275262] border-t pt-2 mt-2">
-          <span>Total (inc. VAT):</span>
-          <span>£{total.toFixed(2)}</span>
+          <span>{sectionTotals.length > 0 ? 'Grand total' : 'Total'} (inc. VAT):</span>
+          <span>£{totals.total.toFixed(2)}</span>
         </div>
       </div>
 
+      {totals.reverseChargeVat > 0 && (
+        <p className="text-xs text-gray-700 border border-gray-300 rounded p-2">
+          {REVERSE_CHARGE_NOTE} VAT to be accounted for by the customer: £{totals.reverseChargeVat.toFixed(2)}.
+        </p>
+      )}
+
+      <div>
+        <strong>Payment terms:</strong>
+        <p className="mt-1 text-gray-700 whitespace-pre-line">{terms.paymentTerms}</p>
+      </div>
+
       <p className="text-xs text-gray-500 mt-2 italic">
-        This quote is valid for 30 days. Labour rates and product costs are estimates unless otherwise agreed.
+        This quote is valid for {terms.validityDays} days{terms.validUntil && `, until ${formatDate(terms.validUntil)}`}.
+        {' '}Labour rates and product costs are estimates unless otherwise agreed.
       </p>
     </div>
   );
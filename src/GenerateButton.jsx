@@ -1,7 +1,7 @@
 // src/GenerateButton.jsx
 import React from 'react';
 
-export default function GenerateButton({ loading, onClick }) {
+export default function GenerateButton({ loading, progressMessage, onClick }) {
   return (
     <div className="flex justify-center mt-6">
       <button
@@ -34,7 +34,7 @@ export default function GenerateButton({ loading, onClick }) {
             />
           </svg>
         )}
-        {loading ? 'Generating...' : '⚡ Generate Plan'}
+        {loading ? progressMessage || 'Generating...' : '⚡ Generate Plan'}
       </button>
     </div>
   );
@@ -0,0 +1,60 @@
+// src/GenerationProgress.jsx
+import React from 'react';
+import { getSelectedOption } from './lib/materials';
+
+const formatPrice = (value) => `£${(Number(value) || 0).toFixed(2)}`;
+
+// Shown while a quote is being generated: the latest step plus the materials
+// list, filling in matched products as each catalogue lookup finishes.
+export default function GenerationProgress({ progress }) {
+  if (!progress) return null;
+  const { message, materials = [], matched = 0 } = progress;
+  const percent = materials.length ? Math.round((matched / materials.length) * 100) : 0;
+
+  return (
+    <div className="bg-white p-6 mt-6 shadow-lg rounded-lg space-y-4" aria-live="polite">
+      <div>
+        <p className="text-gray-700 font-medium">{message}</p>
+        {materials.length > 0 && (
+          <div className="mt-2 h-2 bg-gray-200 rounded">
+            <div className="h-2 bg-teal-600 rounded transition-all" style={{ width: `${percent}%` }} />
+          </div>
+        )}
+      </div>
+
+      {materials.length > 0 && (
+        <table className="w-full text-sm border">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              <th className="text-left p-2 w-1/2">Material</th>
+              <th className="text-center p-2">Qty</th>
+              <th className="text-center p-2">Unit</th>
+              <th className="text-left p-2">Matched Product</th>
+              <th className="text-right p-2">Pack Price</th>
+            </tr>
+          </thead>
+          <tbody>
+            {materials.map((item, index) => {
+              const option = item.options ? getSelectedOption(item) : null;
+              // The manual placeholder is selected when nothing matched
+              const selected = option?.tradePrice != null ? option : null;
+              return (
+                <tr key={item.id || index} className="border-b">
+                  <td className="p-2 text-gray-800">{item.name}</td>
+                  <td className="text-center p-2">{item.quantity}</td>
+                  <td className="text-center p-2">{item.unit}</td>
+                  <td className="p-2">
+                    {item.options
+                      ? selected?.name || <span className="text-gray-400">No match</span>
+                      : <span className="text-gray-400 italic">Matching…</span>}
+                  </td>
+                  <td className="text-right p-2">{selected ? formatPrice(selected.tradePrice) : '–'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
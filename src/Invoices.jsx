@@ -0,0 +1,179 @@
+// src/Invoices.jsx
+import React, { useEffect, useState } from 'react';
+import { FileDown } from 'lucide-react';
+import { createInvoice, listInvoices, setInvoicePaid } from './lib/quotesApi';
+import { downloadInvoicePdf } from './lib/pdfApi';
+import { DEFAULT_DEPOSIT_PERCENT, INVOICE_TYPES, getInvoicedPercent } from './lib/invoices';
+
+// Deposit, stage and final invoices for the open quote
+export default function Invoices({ quoteNumber, pdfTemplate }) {
+  const [invoices, setInvoices] = useState([]);
+  const [type, setType] = useState('deposit');
+  const [percent, setPercent] = useState(DEFAULT_DEPOSIT_PERCENT);
+  const [description, setDescription] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!quoteNumber) return undefined;
+    let cancelled = false;
+    listInvoices(quoteNumber)
+      .then(({ invoices: found }) => {
+        if (cancelled) return;
+        setInvoices(found);
+        if (found.length) setType(found.some(inv => inv.type !== 'final') ? 'interim' : 'final');
+      })
+      .catch(err => {
+        // A quote that hasn't been autosaved yet has no invoices
+        if (!cancelled && err.status !== 404) console.error('Failed to load invoices:', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [quoteNumber]);
+
+  const finalRaised = invoices.some(inv => inv.type === 'final');
+  const invoicedPercent = getInvoicedPercent(invoices);
+  // A deposit only makes sense before any other invoice
+  const types = INVOICE_TYPES.filter(t => t.id !== 'deposit' || invoices.length === 0);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const invoice = await createInvoice(quoteNumber, {
+        type,
+        percent: type === 'final' ? undefined : Number(percent),
+        description: type === 'interim' ? description : undefined,
+      });
+      setInvoices(current => [...current, invoice]);
+      setDescription('');
+      setType(invoice.type === 'final' ? 'final' : 'interim');
+    } catch (err) {
+      alert(err.status === 404 ? 'The quote is still being saved. Please try again in a moment.' : err.message);
+      console.error(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTogglePaid = async (invoice) => {
+    try {
+      const updated = await setInvoicePaid(invoice.id, invoice.status !== 'paid');
+      setInvoices(current => current.map(inv => (inv.id === updated.id ? { ...updated, quote: undefined } : inv)));
+    } catch (err) {
+      alert(err.message);
+      console.error(err);
+    }
+  };
+
+  const handleDownload = async (invoice) => {
+    try {
+      await downloadInvoicePdf(invoice.id, { template: pdfTemplate });
+    } catch (err) {
+      alert(`Failed to create the PDF: ${err.message}`);
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className="border rounded p-4 text-sm space-y-3">
+      <h4 className="font-semibold text-gray-700">Invoices</h4>
+
+      {invoices.length > 0 && (
+        <table className="w-full">
+          <thead className="text-xs text-gray-500">
+            <tr>
+              <th className="text-left font-normal">Invoice</th>
+              <th className="text-left font-normal">For</th>
+              <th className="text-left font-normal">Due</th>
+              <th className="text-right font-normal">Amount (inc. VAT)</th>
+              <th className="text-right font-normal">Paid</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {invoices.map(invoice => (
+              <tr key={invoice.id} className="border-t">
+                <td className="py-1">{invoice.id}</td>
+                <td>{invoice.label}</td>
+                <td>{invoice.dueDate}</td>
+                <td className="text-right">£{invoice.amounts.total.toFixed(2)}</td>
+                <td className="text-right">
+                  <input
+                    type="checkbox"
+                    checked={invoice.status === 'paid'}
+                    onChange={() => handleTogglePaid(invoice)}
+                    aria-label={`${invoice.id} paid`}
+                  />
+                </td>
+                <td className="text-right">
+                  <button
+                    type="button"
+                    onClick={() => handleDownload(invoice)}
+                    className="inline-flex items-center gap-1 text-teal-700 hover:underline"
+                  >
+                    <FileDown size={14} /> PDF
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {finalRaised ? (
+        <p className="text-gray-600">The final invoice has been raised for this quote.</p>
+      ) : (
+        <form onSubmit={handleCreate} className="flex flex-wrap gap-2 items-end">
+          <label className="flex flex-col text-gray-700">
+            Type
+            <select
+              value={types.some(t => t.id === type) ? type : types[0].id}
+              onChange={(e) => setType(e.target.value)}
+              className="p-2 border border-gray-300 rounded"
+            >
+              {types.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+          </label>
+          {type !== 'final' && (
+            <label className="flex flex-col text-gray-700">
+              % of quote
+              <input
+                type="number"
+                min="1"
+                max={99 - invoicedPercent}
+                value={percent}
+                onChange={(e) => setPercent(e.target.value)}
+                className="w-24 p-2 border border-gray-300 rounded"
+              />
+            </label>
+          )}
+          {type === 'interim' && (
+            <label className="flex flex-col flex-1 min-w-[12rem] text-gray-700">
+              Stage
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="e.g. Groundworks complete"
+                className="p-2 border border-gray-300 rounded"
+              />
+            </label>
+          )}
+          <button
+            type="submit"
+            disabled={busy}
+            className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-4 py-2 rounded disabled:opacity-50"
+          >
+            Raise invoice
+          </button>
+          {invoicedPercent > 0 && (
+            <p className="w-full text-xs text-gray-500">
+              {invoicedPercent}% of the quote has been invoiced so far. The final invoice deducts every earlier invoice.
+            </p>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
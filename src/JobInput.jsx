@@ -1,20 +1,119 @@
 // src/JobInput.jsx
-import React from 'react';
+import React, { useRef, useState } from 'react';
+import { ImagePlus, X } from 'lucide-react';
+import { MAX_IMAGES, imageSrc, prepareImage } from './lib/images';
+import { describeImages } from './lib/generateApi';
+
+export default function JobInput({
+  jobDescription,
+  setJobDescription,
+  label = 'Describe your project',
+  placeholder = 'e.g., I want to build a 5x4m natural stone patio on a grass area.',
+}) {
+  const fileInput = useRef(null);
+  const [images, setImages] = useState([]);
+  const [isReading, setIsReading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFiles = async (files) => {
+    setError('');
+    const room = MAX_IMAGES - images.length;
+    const picked = Array.from(files).filter(f => f.type.startsWith('image/')).slice(0, room);
+    if (files.length > room) setError(`Up to ${MAX_IMAGES} images can be attached.`);
+    try {
+      const prepared = await Promise.all(picked.map(file => prepareImage(file)));
+      setImages(current => [...current, ...prepared]);
+    } catch (err) {
+      console.error('Failed to read image:', err);
+      setError('One of the images could not be read.');
+    }
+  };
+
+  // The extracted description lands in the textarea so it can be checked and
+  // corrected before the plan is generated
+  const handleReadImages = async () => {
+    setIsReading(true);
+    setError('');
+    try {
+      const description = await describeImages(images, jobDescription.trim());
+      setJobDescription(jobDescription.trim() ? `${jobDescription.trim()}\n\n${description}` : description);
+      setImages([]);
+    } catch (err) {
+      console.error('Failed to describe images:', err);
+      setError('Could not read the images. Please try again or type a description.');
+    } finally {
+      setIsReading(false);
+    }
+  };
 
-export default function JobInput({ jobDescription, setJobDescription }) {
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
       <label htmlFor="job-description" className="block text-sm font-medium text-gray-700 mb-2">
-        Describe your project
+        {label}
       </label>
       <textarea
         id="job-description"
         rows="4"
         value={jobDescription}
         onChange={(e) => setJobDescription(e.target.value)}
-        placeholder="e.g., I want to build a 5x4m natural stone patio on a grass area."
+        placeholder={placeholder}
         className="w-full border border-gray-300 p-3 rounded-md focus:outline-none focus:ring-2 focus:ring-brand focus:border-transparent"
       ></textarea>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3">
+        {images.map(image => (
+          <div key={image.id} className="relative">
+            <img src={imageSrc(image)} alt={image.name} className="h-16 w-16 object-cover rounded border" />
+            <button
+              type="button"
+              onClick={() => setImages(images.filter(i => i.id !== image.id))}
+              className="absolute -top-2 -right-2 bg-white rounded-full border p-0.5 text-gray-500 hover:text-red-600"
+              aria-label={`Remove ${image.name}`}
+            >
+              <X size={12} />
+            </button>
+          </div>
+        ))}
+
+        {images.length < MAX_IMAGES && (
+          <button
+            type="button"
+            onClick={() => fileInput.current?.click()}
+            className="flex items-center gap-1 text-sm text-teal-700 hover:underline"
+          >
+            <ImagePlus size={16} /> Add site photo or sketch
+          </button>
+        )}
+        <input
+          ref={fileInput}
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+
+        {images.length > 0 && (
+          <button
+            type="button"
+            onClick={handleReadImages}
+            disabled={isReading}
+            className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-3 py-1.5 rounded text-sm disabled:opacity-50"
+          >
+            {isReading ? 'Reading images...' : 'Describe from images'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      {images.length > 0 && !isReading && (
+        <p className="text-xs text-gray-500 mt-2">
+          The description read from your images is added above for you to check before generating.
+        </p>
+      )}
     </div>
   );
 }
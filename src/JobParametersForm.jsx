@@ -0,0 +1,90 @@
+// src/JobParametersForm.jsx
+import React, { useMemo } from 'react';
+import { JOB_TYPES, calculateJob, getDefaultParameters } from './lib/calculators';
+
+// Structured input for common jobs. The materials come from a deterministic
+// calculator (previewed here) and the AI only plans the method and labour.
+export default function JobParametersForm({ jobParameters, setJobParameters }) {
+  const { type, values } = jobParameters;
+  const jobType = JOB_TYPES.find(t => t.id === type);
+  const result = useMemo(() => calculateJob(type, values), [type, values]);
+  const fieldErrors = new Set(result.errors.map(e => e.path.split('.').pop()));
+
+  const handleTypeChange = (nextType) => {
+    setJobParameters({ type: nextType, values: getDefaultParameters(nextType) });
+  };
+
+  const handleValueChange = (id, value) => {
+    setJobParameters({ type, values: { ...values, [id]: value } });
+  };
+
+  const inputClass = (id) =>
+    `w-full p-2 border rounded-md text-sm ${fieldErrors.has(id) ? 'border-red-500' : 'border-gray-300'}`;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md space-y-4">
+      <div>
+        <label htmlFor="job-type" className="block text-sm font-medium text-gray-700 mb-2">
+          Job type
+        </label>
+        <select
+          id="job-type"
+          value={type}
+          onChange={(e) => handleTypeChange(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-md"
+        >
+          {JOB_TYPES.map(t => (
+            <option key={t.id} value={t.id}>{t.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {jobType?.fields.map(field => (
+          <div key={field.id}>
+            <label htmlFor={`param-${field.id}`} className="block text-sm text-gray-700 mb-1">
+              {field.label}{field.unit && ` (${field.unit})`}
+            </label>
+            {field.options ? (
+              <select
+                id={`param-${field.id}`}
+                value={values[field.id] ?? field.default}
+                onChange={(e) => handleValueChange(field.id, e.target.value)}
+                className={inputClass(field.id)}
+              >
+                {field.options.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                id={`param-${field.id}`}
+                type="number"
+                min="0"
+                step="any"
+                value={values[field.id] ?? ''}
+                onChange={(e) => handleValueChange(field.id, e.target.value)}
+                className={inputClass(field.id)}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {result.errors.length > 0 ? (
+        <ul className="text-sm text-red-600 list-disc pl-5">
+          {result.errors.map(e => <li key={e.path}>{e.message}</li>)}
+        </ul>
+      ) : (
+        <div className="text-sm text-gray-700">
+          <p className="font-medium mb-1">Calculated materials (before waste allowance)</p>
+          <ul className="list-disc pl-5 space-y-0.5">
+            {result.materials.map(m => (
+              <li key={m.name}>{m.name}: {m.quantity} {m.unit}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+// src/LabourTable.jsx
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import {
+  LABOUR_TRADES,
+  LABOUR_UNITS,
+  createLabourId,
+  getDefaultRate,
+  getLabourLineTotal,
+  getLabourTotal,
+} from './lib/labour';
+import { getLabourVatTreatment } from './lib/totals';
+import { VAT_TREATMENTS } from './lib/vat';
+
+const formatPrice = (value) => `£${(Number(value) || 0).toFixed(2)}`;
+
+export default function LabourTable({ labour = [], labourRates, onChange }) {
+  const updateRow = (id, changes) => {
+    onChange(labour.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  // Picking a different trade or unit moves the rate to the user's default for
+  // it, unless the rate has been changed by hand from the old default
+  const handleRateKeyChange = (item, changes) => {
+    const next = { ...item, ...changes };
+    const previousDefault = getDefaultRate(item.trade, item.unit, labourRates);
+    if (Number(item.rate) !== previousDefault) {
+      updateRow(item.id, changes);
+      return;
+    }
+    updateRow(item.id, { ...changes, rate: getDefaultRate(next.trade, next.unit, labourRates) });
+  };
+
+  const handleAddRow = () => {
+    onChange([
+      ...labour,
+      {
+        id: createLabourId(),
+        trade: 'Labourer',
+        phase: '',
+        unit: 'day',
+        quantity: 1,
+        rate: getDefaultRate('Labourer', 'day', labourRates),
+      },
+    ]);
+  };
+
+  const handleDeleteRow = (id) => {
+    onChange(labour.filter(item => item.id !== id));
+  };
+
+  const total = getLabourTotal(labour);
+
+  return (
+    <table className="w-full text-sm border">
+      <thead className="bg-gray-100 text-gray-700">
+        <tr>
+          <th className="text-left p-2">Trade</th>
+          <th className="text-left p-2">Phase</th>
+          <th className="text-center p-2">Qty</th>
+          <th className="text-center p-2">Unit</th>
+          <th className="text-right p-2">Rate</th>
+          <th className="text-right p-2">Cost</th>
+          <th className="text-center p-2">VAT</th>
+          <th className="p-2" aria-label="Actions" />
+        </tr>
+      </thead>
+      <tbody>
+        {labour.map(item => (
+          <tr key={item.id} className="border-b">
+            <td className="p-2">
+              <input
+                type="text"
+                list="labour-trades"
+                value={item.trade}
+                onChange={(e) => handleRateKeyChange(item, { trade: e.target.value })}
+                className="w-full p-1 border rounded"
+              />
+            </td>
+            <td className="p-2">
+              <input
+                type="text"
+                value={item.phase}
+                onChange={(e) => updateRow(item.id, { phase: e.target.value })}
+                placeholder="e.g. Excavation"
+                className="w-full p-1 border rounded"
+              />
+            </td>
+            <td className="text-center p-2">
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={item.quantity}
+                onChange={(e) => updateRow(item.id, { quantity: Math.max(0, Number(e.target.value)) })}
+                className="w-16 p-1 border rounded text-center"
+              />
+            </td>
+            <td className="text-center p-2">
+              <select
+                value={item.unit}
+                onChange={(e) => handleRateKeyChange(item, { unit: e.target.value })}
+                className="p-1 border rounded bg-white"
+              >
+                {LABOUR_UNITS.map(unit => (
+                  <option key={unit.id} value={unit.id}>{unit.label}</option>
+                ))}
+              </select>
+            </td>
+            <td className="text-right p-2">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={item.rate ?? 0}
+                onChange={(e) => updateRow(item.id, { rate: Math.max(0, Number(e.target.value)) })}
+                className="w-20 p-1 border rounded text-right"
+              />
+            </td>
+            <td className="text-right p-2">{formatPrice(getLabourLineTotal(item))}</td>
+            <td className="text-center p-2">
+              <select
+                value={getLabourVatTreatment(item)}
+                onChange={(e) => updateRow(item.id, { vatTreatment: e.target.value })}
+                className="p-1 border rounded bg-white text-xs"
+                title="VAT treatment"
+              >
+                {VAT_TREATMENTS.map(t => (
+                  <option key={t.id} value={t.id} title={t.label}>{t.shortLabel}</option>
+                ))}
+              </select>
+            </td>
+            <td className="text-center p-2">
+              <button
+                onClick={() => handleDeleteRow(item.id)}
+                className="text-red-600 hover:text-red-700"
+                title="Remove labour item"
+                aria-label={`Remove ${item.trade} labour`}
+              >
+                <Trash2 size={16} />
+              </button>
+            </td>
+          </tr>
+        ))}
+
+        <tr>
+          <td colSpan="8" className="p-2">
+            <button
+              onClick={handleAddRow}
+              className="flex items-center gap-1 text-xs px-3 py-1 border border-[#275262] text-[#275262] rounded hover:bg-gray-50"
+            >
+              <Plus size={14} /> Add labour
+            </button>
+            <datalist id="labour-trades">
+              {LABOUR_TRADES.map(trade => <option key={trade} value={trade} />)}
+            </datalist>
+          </td>
+        </tr>
+
+        <tr className="bg-gray-50 font-semibold">
+          <td colSpan="5" className="p-2 text-right">
+            Labour Total
+          </td>
+          <td className="p-2 text-right">{formatPrice(total)}</td>
+          <td colSpan="2" />
+        </tr>
+      </tbody>
+    </table>
+  );
+}
@@ -1,55 +1,154 @@
 // src/ProductDropdown.jsx
 import React, { useState, useEffect } from 'react';
+import { searchProducts } from './lib/productSearch';
 
 const PLACEHOLDER_IMAGE = '/placeholder-image.png'; // ensure this file exists in public/
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
 
-export default function ProductDropdown({ options = [], value = '', onChange }) {
+const isManualOption = (opt) => String(opt?.id || '').startsWith('manual-');
+
+export default function ProductDropdown({
+  options = [],
+  value = '',
+  onChange,
+  searchTerm = '',
+  onReplaceOptions,
+}) {
   const [selected, setSelected] = useState(value);
+  const [query, setQuery] = useState(searchTerm);
+  const [results, setResults] = useState({ query: '', items: [] });
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
 
   useEffect(() => {
     setSelected(value);
   }, [value]);
 
+  // Renaming the material starts a new search for the new name
+  useEffect(() => {
+    setQuery(searchTerm);
+  }, [searchTerm]);
+
+  const selectedOption = options.find(opt => opt.name === selected);
+  const showSearch = !!onReplaceOptions && (options.length === 0 || isManualOption(selectedOption));
+  const canSearch = query.trim().length >= MIN_QUERY_LENGTH;
+
+  // Debounced typeahead against the catalogue
+  useEffect(() => {
+    if (!showSearch || !canSearch) {
+      setResults({ query: '', items: [] });
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      setSearchError(null);
+      try {
+        const found = await searchProducts(query);
+        if (!cancelled) setResults({ query, items: found });
+      } catch (err) {
+        if (!cancelled) setSearchError('Search failed. Please try again.');
+        console.error(err);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, showSearch, canSearch]);
+
   const handleChange = (newVal) => {
     setSelected(newVal);
     onChange(newVal);
   };
 
+  const handleChooseResult = (product) => {
+    const manual = options.find(isManualOption);
+    onReplaceOptions([...(manual ? [manual] : []), ...results.items], product);
+  };
+
   return (
     <div className="w-full space-y-2">
-      <select
-        className="w-full border text-sm rounded p-2 shadow-sm bg-white text-gray-800 focus:ring-2 focus:ring-[#275262]"
-        value={selected}
-        onChange={(e) => handleChange(e.target.value)}
-      >
-        {options.map((opt, i) => (
-          <option key={i} value={opt.name}>
-            {opt.name}
-          </option>
-        ))}
-      </select>
-
-      <div className="flex flex-wrap gap-3 mt-2">
-        {options.map((opt, i) => (
-          <div
-            key={i}
-            onClick={() => handleChange(opt.name)}
-            className={`cursor-pointer border rounded w-20 h-20 overflow-hidden transition-all flex items-center justify-center ${
-              opt.name === selected
-                ? 'ring-2 ring-[#275262] bg-gray-50'
-                : 'hover:ring-1 hover:ring-[#275262]/40'
-            }`}
-            title={opt.name}
-            aria-label={opt.name}
-          >
-            <img
-              src={opt.image || PLACEHOLDER_IMAGE}
-              alt={opt.name}
-              className="w-full h-full object-cover"
-            />
-          </div>
-        ))}
-      </div>
+      {options.length > 0 && (
+        <select
+          className="w-full border text-sm rounded p-2 shadow-sm bg-white text-gray-800 focus:ring-2 focus:ring-[#275262]"
+          value={selected}
+          onChange={(e) => handleChange(e.target.value)}
+        >
+          {options.map((opt, i) => (
+            <option key={i} value={opt.name}>
+              {opt.name}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {showSearch && (
+        <div className="relative">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search the catalogue..."
+            className="w-full border text-sm rounded p-2 focus:ring-2 focus:ring-[#275262]"
+          />
+          {searching && <p className="text-xs text-gray-500 mt-1">Searching...</p>}
+          {searchError && <p className="text-xs text-red-600 mt-1">{searchError}</p>}
+          {results.items.length > 0 && (
+            <ul className="absolute z-10 mt-1 w-full bg-white border rounded shadow-lg max-h-60 overflow-auto">
+              {results.items.map(product => (
+                <li
+                  key={product.id}
+                  onClick={() => handleChooseResult(product)}
+                  className="p-2 hover:bg-gray-100 cursor-pointer flex items-center gap-2"
+                >
+                  <img
+                    src={product.image || PLACEHOLDER_IMAGE}
+                    alt={product.name}
+                    className="w-8 h-8 object-cover rounded"
+                  />
+                  <span className="flex-1">{product.name}</span>
+                  {product.tradePrice !== null && (
+                    <span className="text-xs text-gray-600">£{product.tradePrice.toFixed(2)}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {canSearch && !searching && !searchError && results.query === query && results.items.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">No matching products.</p>
+          )}
+        </div>
+      )}
+
+      {options.length > 0 && (
+        <div className="flex flex-wrap gap-3 mt-2">
+          {options.map((opt, i) => (
+            <div
+              key={i}
+              onClick={() => handleChange(opt.name)}
+              className={`cursor-pointer border rounded w-20 h-20 overflow-hidden transition-all flex items-center justify-center ${
+                opt.name === selected
+                  ? 'ring-2 ring-[#275262] bg-gray-50'
+                  : 'hover:ring-1 hover:ring-[#275262]/40'
+              }`}
+              title={opt.name}
+              aria-label={opt.name}
+            >
+              <img
+                src={opt.image || PLACEHOLDER_IMAGE}
+                alt={opt.name}
+                className="w-full h-full object-cover"
+              />
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,124 @@
+// src/PurchaseOrders.jsx
+import React, { useMemo, useState } from 'react';
+import { FileDown } from 'lucide-react';
+import { buildPurchaseOrders, purchaseOrdersToCsv } from './lib/purchaseOrders';
+import { downloadPurchaseOrderPdf } from './lib/pdfApi';
+import { saveBlob } from './lib/download';
+
+// <input type="date"> gives yyyy-mm-dd; orders print dates the way quotes do
+const toDisplayDate = (value) => (value ? value.split('-').reverse().join('/') : '');
+
+// Supplier purchase orders for the materials on the quote
+export default function PurchaseOrders({ quote, pdfTemplate }) {
+  const [requiredBy, setRequiredBy] = useState('');
+  const [downloading, setDownloading] = useState(null);
+
+  const { orders, skipped, deliverTo } = useMemo(
+    () => buildPurchaseOrders(quote, { requiredBy: toDisplayDate(requiredBy) }),
+    [quote, requiredBy]
+  );
+
+  const handlePdf = async (order) => {
+    setDownloading(order.number);
+    try {
+      await downloadPurchaseOrderPdf(quote, order, { requiredBy: toDisplayDate(requiredBy), template: pdfTemplate });
+    } catch (err) {
+      alert(`Failed to create the PDF: ${err.message}`);
+      console.error(err);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleCsv = () => {
+    const csv = purchaseOrdersToCsv({ orders, deliverTo, requiredBy: toDisplayDate(requiredBy) });
+    const name = quote.customerQuote?.quoteNumber || 'quote';
+    saveBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${name}-purchase-orders.csv`);
+  };
+
+  return (
+    <details className="border rounded p-4 text-sm">
+      <summary className="cursor-pointer font-semibold text-gray-700">
+        Purchase orders {orders.length > 0 ? `(${orders.length} supplier${orders.length === 1 ? '' : 's'})` : ''}
+      </summary>
+
+      <div className="mt-4 space-y-4">
+        <p className="text-gray-600">
+          Materials added to the cart are grouped by supplier, or every material if none have been added.
+        </p>
+
+        <div className="flex gap-4 flex-wrap items-end">
+          <label className="flex flex-col text-gray-700">
+            Required by
+            <input
+              type="date"
+              value={requiredBy}
+              onChange={(e) => setRequiredBy(e.target.value)}
+              className="p-2 border border-gray-300 rounded"
+            />
+          </label>
+          <div className="text-gray-700">
+            <span className="font-semibold">Deliver to: </span>
+            {deliverTo.address
+              ? [deliverTo.name, deliverTo.address].filter(Boolean).join(', ')
+              : <span className="text-red-600">Add the customer's address in the quote details</span>}
+          </div>
+        </div>
+
+        {orders.length > 0 ? (
+          <table className="w-full">
+            <thead className="text-xs text-gray-500">
+              <tr>
+                <th className="text-left font-normal">Order</th>
+                <th className="text-left font-normal">Supplier</th>
+                <th className="text-right font-normal">Products</th>
+                <th className="text-right font-normal">Total (ex. VAT)</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map(order => (
+                <tr key={order.number} className="border-t">
+                  <td className="py-1">{order.number}</td>
+                  <td>{order.supplier}</td>
+                  <td className="text-right">{order.lines.length}</td>
+                  <td className="text-right">£{order.total.toFixed(2)}</td>
+                  <td className="text-right">
+                    <button
+                      type="button"
+                      onClick={() => handlePdf(order)}
+                      disabled={downloading === order.number}
+                      className="inline-flex items-center gap-1 text-teal-700 hover:underline disabled:opacity-50"
+                    >
+                      <FileDown size={14} /> PDF
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-gray-500">Select products for the materials to build purchase orders.</p>
+        )}
+
+        {skipped.length > 0 && (
+          <div className="text-yellow-800">
+            <p className="font-semibold">Not on any order:</p>
+            <ul className="list-disc pl-5">
+              {skipped.map(item => <li key={item.materialId}>{item.name}: {item.reason}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <button
+          type="button"
+          onClick={handleCsv}
+          disabled={orders.length === 0}
+          className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-4 py-2 rounded disabled:opacity-50"
+        >
+          Download CSV
+        </button>
+      </div>
+    </details>
+  );
+}
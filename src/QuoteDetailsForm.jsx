@@ -1,17 +1,24 @@
 // src/QuoteDetailsForm.jsx
 import React, { useEffect, useState } from 'react';
+import { LABOUR_UNITS } from './lib/labour';
+import { DEFAULT_PAYMENT_TERMS, DEFAULT_VALIDITY_DAYS } from './lib/terms';
+import { prepareLogo } from './lib/images';
 
 export default function QuoteDetailsForm({
   companyDetails,
   setCompanyDetails,
+  labourRates,
+  setLabourRates,
   customerDetails,
   setCustomerDetails,
   vatRate,
   setVatRate,
   logo,
   setLogo,
+  onApplyToQuote,
 }) {
   const [errors, setErrors] = useState({});
+  const [logoError, setLogoError] = useState('');
 
   useEffect(() => {
     const savedCompany = localStorage.getItem('companyDetails');
@@ -53,10 +60,24 @@ export default function QuoteDetailsForm({
     validate(name, value);
   };
 
-  const handleLogoChange = (e) => {
-    if (e.target.files?.[0]) {
-      const logoUrl = URL.createObjectURL(e.target.files[0]);
-      setLogo(logoUrl);
+  const handleRateChange = (trade, unit, value) => {
+    setLabourRates({
+      ...labourRates,
+      [trade]: { ...labourRates[trade], [unit]: Math.max(0, Number(value)) },
+    });
+  };
+
+  // Kept as a small data URL so the logo can be saved with quotes and drawn into server-side PDFs
+  const handleLogoChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setLogoError('');
+    try {
+      setLogo(await prepareLogo(file));
+    } catch (err) {
+      console.error('Failed to read logo:', err);
+      setLogoError(err.message);
     }
   };
 
@@ -86,13 +107,92 @@ export default function QuoteDetailsForm({
 
         <input
           type="file"
-          accept="image/*"
+          accept="image/png,image/jpeg"
           onChange={handleLogoChange}
           className="block w-full text-sm text-gray-500"
         />
-        {logo && <img src={logo} alt="Company Logo" className="h-12 mt-2" />}
+        {logoError && <p className="text-xs text-red-600 mt-1">{logoError}</p>}
+        {logo && (
+          <div className="flex items-center gap-3 mt-2">
+            <img src={logo} alt="Company Logo" className="h-12" />
+            <button type="button" onClick={() => setLogo(null)} className="text-xs text-red-600 hover:underline">
+              Remove logo
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h2 className="text-lg font-bold text-gray-800 mb-4">Quote Terms</h2>
+        <label className="block text-sm text-gray-700 mb-1" htmlFor="paymentTerms">Payment terms</label>
+        <textarea
+          id="paymentTerms"
+          rows="2"
+          value={companyDetails.paymentTerms ?? ''}
+          onChange={(e) => setCompanyDetails({ ...companyDetails, paymentTerms: e.target.value })}
+          placeholder={DEFAULT_PAYMENT_TERMS}
+          className="w-full mb-2 p-2 border rounded text-sm"
+        />
+        <label className="block text-sm text-gray-700 mb-1" htmlFor="validityDays">Quotes valid for (days)</label>
+        <input
+          id="validityDays"
+          type="number"
+          min="1"
+          value={companyDetails.validityDays ?? DEFAULT_VALIDITY_DAYS}
+          onChange={(e) => setCompanyDetails({ ...companyDetails, validityDays: Math.max(1, Number(e.target.value)) })}
+          className="w-32 p-2 border rounded"
+        />
+        {onApplyToQuote && (
+          <div className="mt-3">
+            <p className="text-xs text-gray-500 mb-1">
+              Changes apply to new quotes. The open quote keeps the details it was created with.
+            </p>
+            <button
+              type="button"
+              onClick={onApplyToQuote}
+              className="text-sm px-3 py-1 border border-[#275262] text-[#275262] rounded hover:bg-gray-50"
+            >
+              Apply company details, terms, logo and VAT rate to the open quote
+            </button>
+          </div>
+        )}
       </div>
 
+      <details>
+        <summary className="text-lg font-bold text-gray-800 cursor-pointer">Default Labour Rates</summary>
+        <p className="text-xs text-gray-500 mt-2 mb-3">
+          Applied to each trade in newly generated quotes. Rates can still be changed per quote.
+        </p>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-600">
+              <th className="text-left p-1">Trade</th>
+              {LABOUR_UNITS.map(unit => (
+                <th key={unit.id} className="text-right p-1">£ per {unit.id}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(labourRates).map(([trade, rates]) => (
+              <tr key={trade}>
+                <td className="p-1">{trade}</td>
+                {LABOUR_UNITS.map(unit => (
+                  <td key={unit.id} className="p-1 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      value={rates[unit.id] ?? 0}
+                      onChange={(e) => handleRateChange(trade, unit.id, e.target.value)}
+                      className="w-24 p-1 border rounded text-right"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+
       <div>
         <h2 className="text-lg font-bold text-gray-800 mb-4">Customer Details</h2>
         <input
@@ -119,7 +219,7 @@ export default function QuoteDetailsForm({
           type="number"
           value={vatRate}
           onChange={(e) => setVatRate(Number(e.target.value))}
-          placeholder="VAT Rate (%)"
+          placeholder="Standard VAT Rate (%)"
           min="0"
           max="100"
           className="w-full mb-1 p-2 border rounded"
@@ -1,73 +1,203 @@
 // src/QuoteOutput.jsx
-import React, { useMemo, useRef, useState, useEffect, useCallback } from 'react';
-import html2pdf from 'html2pdf.js';
-import QuoteTable from './QuoteTable';
-import ConstructionMethod from './ConstructionMethod';
+import React, { useMemo, useState } from 'react';
 import CustomerQuote from './CustomerQuote';
+import WasteAllowances from './WasteAllowances';
+import SavedQuotes from './SavedQuotes';
+import RevisionHistory from './RevisionHistory';
+import QuoteSection from './QuoteSection';
+import AddSectionForm from './AddSectionForm';
+import RefineQuote from './RefineQuote';
+import ShareQuote from './ShareQuote';
+import Invoices from './Invoices';
+import PurchaseOrders from './PurchaseOrders';
+import { calculateQuoteTotals } from './lib/totals';
+import { applyWasteAllowances } from './lib/waste';
+import { applyDefaultRates, getQuoteLabour } from './lib/labour';
+import { generateAlternatives, generateQuote } from './lib/generateApi';
+import { downloadQuotePdf } from './lib/pdfApi';
+import { sendQuoteToCart } from './lib/cartApi';
+import { DEFAULT_PDF_TEMPLATE, PDF_TEMPLATES } from './lib/pdfTemplates';
+import { addAlternatives, getSectionAlternatives, selectAlternative } from './lib/alternatives';
+import {
+  calculateSectionTotals,
+  createSectionId,
+  getQuoteSections,
+  getSectionItems,
+  removeSection,
+  setSectionItems,
+  updateSection,
+  upsertSection,
+} from './lib/sections';
 
-export default function QuoteOutput({ quote, setQuote, onAddToCart, selectedTier = 1 }) {
-  const printRef = useRef();
-  const [savedQuotes, setSavedQuotes] = useState([]);
-  const [selectedQuoteKey, setSelectedQuoteKey] = useState('');
-
-  useEffect(() => {
-    const keys = Object.keys(localStorage).filter(k => k.startsWith('quote_Q-'));
-    setSavedQuotes(keys);
-  }, [quote]);
-
-  const totalMaterialsCost = useMemo(() => {
-    if (!quote?.materials) return 0;
-    return quote.materials.reduce((sum, item) => {
-      const unitPrice = parseFloat(item.unitPrice || 0);
-      return sum + unitPrice * item.quantity;
-    }, 0);
-  }, [quote]);
-
-  const downloadPdf = () => {
-    if (!printRef.current) return;
-    html2pdf()
-      .set({
-        margin: 0.5,
-        filename: `${quote.customerQuote?.quoteNumber || 'quote'}.pdf`,
-        html2canvas: { scale: 2 },
-      })
-      .from(printRef.current)
-      .save();
+export default function QuoteOutput({
+  quote,
+  setQuote,
+  onLoadQuote,
+  onAddToCart,
+  labourRates,
+  selectedTier = 1,
+}) {
+  const [pdfTemplate, setPdfTemplate] = useState(
+    () => localStorage.getItem('pdfTemplate') || DEFAULT_PDF_TEMPLATE
+  );
+  const [downloading, setDownloading] = useState(false);
+  const [sendingCart, setSendingCart] = useState(false);
+  const [cartResult, setCartResult] = useState(null);
+  // Sections being generated, as section id → latest progress message
+  const [generating, setGenerating] = useState({});
+
+  const totals = useMemo(() => calculateQuoteTotals(quote), [quote]);
+  const sectionTotals = useMemo(() => calculateSectionTotals(quote), [quote]);
+  const sections = getQuoteSections(quote);
+
+  const handleSelectProduct = (materialId, option) => {
+    const materials = quote.materials.map(m =>
+      m.id === materialId
+        ? { ...m, selectedProductId: option.id, unitPrice: option.tradePrice ?? 0 }
+        : m
+    );
+    setQuote({ ...quote, materials });
+  };
+
+  const handleReplaceOptions = (materialId, options, option) => {
+    const materials = quote.materials.map(m =>
+      m.id === materialId
+        ? { ...m, options, selectedProductId: option.id, unitPrice: option.tradePrice ?? 0 }
+        : m
+    );
+    setQuote({ ...quote, materials });
+  };
+
+  const handleMaterialsChange = (sectionId, materials) => {
+    setQuote(setSectionItems(quote, sectionId, { materials }));
+  };
+
+  const handleLabourChange = (sectionId, labour) => {
+    setQuote(setSectionItems(quote, sectionId, { labour }));
+  };
+
+  // Generates a new section, or regenerates an existing one from its brief
+  const generateSection = async ({ id, name, description }) => {
+    const setMessage = (message) => setGenerating(current => ({ ...current, [id]: message }));
+    setMessage('Starting...');
+    try {
+      const { timings, ...result } = await generateQuote(
+        {
+          jobDescription: description,
+          section: { id, name },
+          wasteAllowances: quote.wasteAllowances,
+        },
+        {
+          onEvent: (event) => {
+            if (event.type === 'material') setMessage(`Matching products: ${event.done}/${event.total}`);
+            else if (event.message) setMessage(event.message);
+          },
+        }
+      );
+      if (timings) console.info('Section generation timings', timings);
+
+      const labour = applyDefaultRates(result.labour, labourRates);
+      // The quote may have been edited while this section was generating
+      setQuote(current => {
+        const next = upsertSection(current, result.sections[0], { materials: result.materials, labour });
+        return { ...next, warnings: [...(current.warnings || []), ...(result.warnings || [])] };
+      });
+    } catch (error) {
+      console.error(error);
+      alert(`Failed to generate "${name || 'the new section'}": ${error.message}`);
+    } finally {
+      setGenerating(current => {
+        const next = { ...current };
+        delete next[id];
+        return next;
+      });
+    }
   };
 
-  // 🎯 NEW: build and send cart params
-  const sendToCart = useCallback(() => {
-    const params = new URLSearchParams();
-    let idx = 1;
-    const selected = quote.selectedMaterials || {};
-    Object.entries(selected).forEach(([matId, productName]) => {
-      const mat = quote.materials.find(m => String(m.id) === String(matId));
-      if (!mat) return;
-      params.append(`item_${idx}_name`, productName);
-      params.append(`item_${idx}_qty`, mat.quantity);
-      idx++;
+  const handleCompareOptions = async (section, materials) => {
+    setGenerating(current => ({ ...current, [section.id]: 'Generating budget and premium options...' }));
+    try {
+      const { alternatives, warnings } = await generateAlternatives({
+        jobDescription: section.description || quote.customerQuote?.projectDescription || section.name,
+        materials,
+        sectionId: section.id,
+        wasteAllowances: quote.wasteAllowances,
+      });
+      setQuote(current => {
+        const next = addAlternatives(current, section.id, alternatives, { name: section.name });
+        return { ...next, warnings: [...(current.warnings || []), ...(warnings || [])] };
+      });
+    } catch (error) {
+      console.error(error);
+      alert(`Failed to generate options for "${section.name}": ${error.message}`);
+    } finally {
+      setGenerating(current => {
+        const next = { ...current };
+        delete next[section.id];
+        return next;
+      });
+    }
+  };
+
+  const handleSelectAlternative = (sectionId, alternativeId) => {
+    setQuote(selectAlternative(quote, sectionId, alternativeId));
+  };
+
+  // Sections with options, for the customer to choose between on the final quote
+  const sectionOptions = sections
+    .map(section => ({ section, alternatives: getSectionAlternatives(quote, section.id) }))
+    .filter(({ alternatives }) => alternatives.length > 0);
+
+  const handleRemoveSection = (section) => {
+    if (!window.confirm(`Remove "${section.name}" and its materials and labour from the quote?`)) return;
+    setQuote(removeSection(quote, section.id));
+  };
+
+  const handleWasteAllowancesChange = (wasteAllowances) => {
+    setQuote({
+      ...quote,
+      wasteAllowances,
+      materials: applyWasteAllowances(quote.materials, wasteAllowances),
     });
-    window.location.href = `/quote-cart?${params.toString()}`;
-  }, [quote.materials, quote.selectedMaterials]);
-
-  const handleLoadSavedQuote = (key) => {
-    const saved = localStorage.getItem(key);
-    if (saved) {
-      setQuote(JSON.parse(saved));
-      setSelectedQuoteKey(key);
+  };
+
+  const downloadPdf = async () => {
+    setDownloading(true);
+    try {
+      await downloadQuotePdf(quote, { template: pdfTemplate });
+    } catch (error) {
+      console.error(error);
+      alert(`Failed to create the PDF: ${error.message}`);
+    } finally {
+      setDownloading(false);
     }
   };
 
-  const handleDeleteSavedQuote = (key) => {
-    localStorage.removeItem(key);
-    const updated = savedQuotes.filter(k => k !== key);
-    setSavedQuotes(updated);
-    setSelectedQuoteKey('');
-    if (quote?.customerQuote?.quoteNumber && key.includes(quote.customerQuote.quoteNumber)) {
-      setQuote(null);
+  const handleTemplateChange = (template) => {
+    setPdfTemplate(template);
+    localStorage.setItem('pdfTemplate', template);
+  };
+
+  const sendToCart = async () => {
+    setSendingCart(true);
+    try {
+      setCartResult(await sendQuoteToCart(quote));
+    } catch (error) {
+      console.error(error);
+      alert(`Failed to send to the Quote Cart: ${error.message}`);
+    } finally {
+      setSendingCart(false);
     }
   };
 
+  const handleRevisionSaved = (revision) => {
+    setQuote({ ...quote, customerQuote: { ...quote.customerQuote, revision } });
+  };
+
+  const handleDeletedQuote = (id) => {
+    if (quote?.customerQuote?.quoteNumber === id) setQuote(null);
+  };
+
   if (!quote) return null;
 
   return (
@@ -75,53 +205,137 @@ export default function QuoteOutput({ quote, setQuote, onAddToCart, selectedTier
       <div className="flex items-center justify-between flex-wrap gap-4">
         <h2 className="text-2xl font-bold text-gray-800">Generated Quote</h2>
         <div className="flex gap-2 flex-wrap items-center">
+          <select
+            value={pdfTemplate}
+            onChange={(e) => handleTemplateChange(e.target.value)}
+            aria-label="PDF template"
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            {PDF_TEMPLATES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+          </select>
           <button
             onClick={downloadPdf}
-            className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-4 py-2 rounded"
+            disabled={downloading}
+            className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-4 py-2 rounded disabled:opacity-50"
           >
-            Download PDF
+            {downloading ? 'Creating PDF...' : 'Download PDF'}
           </button>
           <button
             onClick={sendToCart}
-            className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded"
+            disabled={sendingCart}
+            className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded disabled:opacity-50"
           >
-            Send to Quote Cart
+            {sendingCart ? 'Sending...' : 'Send to Quote Cart'}
           </button>
 
-          {savedQuotes.length > 0 && (
+          <SavedQuotes
+            currentQuoteNumber={quote.customerQuote?.quoteNumber}
+            onLoad={onLoadQuote}
+            onDeleted={handleDeletedQuote}
+          />
+        </div>
+      </div>
+
+      {cartResult && (
+        <div
+          className={`p-4 border rounded-md text-sm ${
+            cartResult.failed.length ? 'border-yellow-300 bg-yellow-50 text-yellow-800' : 'border-green-300 bg-green-50 text-green-800'
+          }`}
+        >
+          <div className="flex items-start justify-between gap-4">
+            <p>
+              {cartResult.added.length} product{cartResult.added.length === 1 ? '' : 's'} sent to the Quote Cart.{' '}
+              {cartResult.cartUrl && (
+                <a href={cartResult.cartUrl} target="_blank" rel="noreferrer" className="font-semibold underline">
+                  Open cart
+                </a>
+              )}
+            </p>
+            <button onClick={() => setCartResult(null)} className="text-xs underline">Dismiss</button>
+          </div>
+          {cartResult.failed.length > 0 && (
             <>
-              <select
-                value={selectedQuoteKey}
-                onChange={(e) => handleLoadSavedQuote(e.target.value)}
-                className="border px-3 py-2 rounded text-sm"
-              >
-                <option value="">Load Saved Quote</option>
-                {savedQuotes.map(k => (
-                  <option key={k} value={k}>{k.replace('quote_', '')}</option>
+              <p className="mt-2 font-semibold">These couldn't be added:</p>
+              <ul className="list-disc pl-5">
+                {cartResult.failed.map((item, i) => (
+                  <li key={i}>{item.name}: {item.reason}</li>
                 ))}
-              </select>
-
-              {selectedQuoteKey && (
-                <button
-                  onClick={() => handleDeleteSavedQuote(selectedQuoteKey)}
-                  className="bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded text-sm"
-                >
-                  Delete Quote
-                </button>
-              )}
+              </ul>
             </>
           )}
         </div>
-      </div>
+      )}
+
+      {quote.warnings?.length > 0 && (
+        <details className="p-4 border border-yellow-300 bg-yellow-50 rounded-md text-sm text-yellow-800">
+          <summary className="cursor-pointer font-semibold">
+            {quote.warnings.length} note{quote.warnings.length === 1 ? '' : 's'} from checking the AI plan
+          </summary>
+          <ul className="list-disc pl-5 mt-2">
+            {quote.warnings.map((w, i) => (
+              <li key={i}>{w.path && <code className="text-xs">{w.path}</code>} {w.message}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {quote.clarifications?.length > 0 && (
+        <details className="p-4 border border-gray-200 bg-gray-50 rounded-md text-sm text-gray-700">
+          <summary className="cursor-pointer font-semibold">
+            Based on {quote.clarifications.length} clarified detail{quote.clarifications.length === 1 ? '' : 's'}
+          </summary>
+          <ul className="list-disc pl-5 mt-2">
+            {quote.clarifications.map(c => (
+              <li key={c.id}>{c.question} <strong>{c.answer}</strong></li>
+            ))}
+          </ul>
+        </details>
+      )}
 
-      <div ref={printRef} className="space-y-10">
+      <RevisionHistory quote={quote} onRevisionSaved={handleRevisionSaved} />
+
+      <RefineQuote
+        quote={quote}
+        labourRates={labourRates}
+        onApply={(patched, { warnings }) =>
+          setQuote({ ...patched, warnings: [...(patched.warnings || []), ...(warnings || [])] })}
+      />
+
+      <PurchaseOrders quote={quote} pdfTemplate={pdfTemplate} />
+
+      <div className="space-y-10">
         {selectedTier >= 1 && (
-          <section>
-            <h3 className="text-xl font-semibold text-gray-700 mb-4">Tier 1: Materials</h3>
-            <QuoteTable
-              materials={quote.materials}
-              totalCost={totalMaterialsCost}
-              selectedMaterials={quote.selectedMaterials || {}}
+          <WasteAllowances
+            allowances={quote.wasteAllowances}
+            onChange={handleWasteAllowancesChange}
+          />
+        )}
+
+        {sections.map((section, index) => {
+          const { materials, labour } = getSectionItems(quote, section.id);
+          return (
+            <QuoteSection
+              key={`${quote.customerQuote?.quoteNumber}-${section.id}`}
+              section={section}
+              materials={materials}
+              labour={labour}
+              totals={sectionTotals[index]}
+              alternatives={sectionOptions.find(o => o.section.id === section.id)?.alternatives}
+              selectedTier={selectedTier}
+              wasteAllowances={quote.wasteAllowances}
+              labourRates={labourRates}
+              generating={generating[section.id]}
+              canRemove={sections.length > 1}
+              onRename={(name) => setQuote(updateSection(quote, section.id, { name }))}
+              onRegenerate={(description) =>
+                generateSection({ id: section.id, name: section.name, description })}
+              onRemove={() => handleRemoveSection(section)}
+              onCompareOptions={() => handleCompareOptions(section, materials)}
+              onSelectAlternative={(alternativeId) => handleSelectAlternative(section.id, alternativeId)}
+              onChangeMaterials={(items) => handleMaterialsChange(section.id, items)}
+              onChangeLabour={(items) => handleLabourChange(section.id, items)}
+              onSelectProduct={handleSelectProduct}
+              onReplaceOptions={handleReplaceOptions}
               onAddToCart={(id, selectedOption) => {
                 const updated = {
                   ...(quote.selectedMaterials || {}),
@@ -132,23 +346,37 @@ export default function QuoteOutput({ quote, setQuote, onAddToCart, selectedTier
                 onAddToCart(id, selectedOption);
               }}
             />
-          </section>
-        )}
+          );
+        })}
 
-        {selectedTier >= 2 && quote.method && (
-          <section>
-            <h3 className="text-xl font-semibold text-gray-700 mb-4">Tier 2: Method & Considerations</h3>
-            <ConstructionMethod method={quote.method} />
-          </section>
-        )}
+        {Object.entries(generating)
+          .filter(([id]) => !sections.some(s => s.id === id))
+          .map(([id, message]) => (
+            <p key={id} className="text-sm text-gray-600" aria-live="polite">New section: {message}</p>
+          ))}
+
+        <AddSectionForm
+          onAdd={({ name, description }) => generateSection({ id: createSectionId(), name, description })}
+        />
 
         {selectedTier === 3 && quote.customerQuote && (
           <section>
-            <h3 className="text-xl font-semibold text-gray-700 mb-4">Tier 3: Final Quote Summary</h3>
+            <h3 className="text-xl font-semibold text-gray-700 mb-4">Final Quote Summary</h3>
             <CustomerQuote
               customerQuote={quote.customerQuote}
-              totalMaterialsCost={totalMaterialsCost}
+              clarifications={quote.clarifications}
+              labour={getQuoteLabour(quote)}
+              sectionTotals={sections.length > 1 ? sectionTotals : []}
+              options={sectionOptions}
+              onSelectOption={handleSelectAlternative}
+              totals={totals}
             />
+            <div className="mt-6">
+              <ShareQuote quoteNumber={quote.customerQuote.quoteNumber} />
+            </div>
+            <div className="mt-6">
+              <Invoices quoteNumber={quote.customerQuote.quoteNumber} pdfTemplate={pdfTemplate} />
+            </div>
           </section>
         )}
       </div>
@@ -0,0 +1,131 @@
+// src/QuoteSection.jsx
+import React, { useState } from 'react';
+import { Columns3, RefreshCw, Trash2 } from 'lucide-react';
+import QuoteTable from './QuoteTable';
+import AlternativesComparison from './AlternativesComparison';
+import ConstructionMethod from './ConstructionMethod';
+import LabourTable from './LabourTable';
+
+const formatPrice = (value) => `£${(Number(value) || 0).toFixed(2)}`;
+
+// One named piece of work within a quote, with its own materials, method and
+// labour. The brief can be edited and the section regenerated on its own.
+export default function QuoteSection({
+  section,
+  materials,
+  labour,
+  totals,
+  alternatives = [],
+  selectedTier,
+  wasteAllowances,
+  labourRates,
+  generating,
+  canRemove,
+  onRename,
+  onRegenerate,
+  onRemove,
+  onCompareOptions,
+  onSelectAlternative,
+  onChangeMaterials,
+  onChangeLabour,
+  onSelectProduct,
+  onReplaceOptions,
+  onAddToCart,
+}) {
+  const [description, setDescription] = useState(section.description || '');
+
+  return (
+    <section className="border border-gray-200 rounded-lg p-4 space-y-6">
+      <div className="flex items-center justify-between gap-4 flex-wrap">
+        <input
+          type="text"
+          value={section.name}
+          onChange={(e) => onRename(e.target.value)}
+          className="text-xl font-semibold text-gray-800 border-b border-transparent hover:border-gray-300 focus:border-teal-600 focus:outline-none"
+          aria-label="Section name"
+        />
+        <div className="flex items-center gap-3 text-sm">
+          <span className="text-gray-600">Subtotal: <strong>{formatPrice(totals?.net)}</strong></span>
+          <button
+            type="button"
+            onClick={onCompareOptions}
+            disabled={Boolean(generating) || materials.length === 0}
+            className="flex items-center gap-1 text-teal-700 hover:underline disabled:opacity-50"
+            title="Generate budget and premium alternatives to compare"
+          >
+            <Columns3 size={14} /> {alternatives.length ? 'New options' : 'Compare options'}
+          </button>
+          <button
+            type="button"
+            onClick={() => onRegenerate(description)}
+            disabled={Boolean(generating) || !description.trim()}
+            className="flex items-center gap-1 text-teal-700 hover:underline disabled:opacity-50"
+            title="Regenerate this section from its brief"
+          >
+            <RefreshCw size={14} className={generating ? 'animate-spin' : ''} /> Regenerate
+          </button>
+          {canRemove && (
+            <button
+              type="button"
+              onClick={onRemove}
+              disabled={Boolean(generating)}
+              className="flex items-center gap-1 text-red-600 hover:underline disabled:opacity-50"
+            >
+              <Trash2 size={14} /> Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      {generating && <p className="text-sm text-gray-600" aria-live="polite">{generating}</p>}
+
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-600">Section brief</summary>
+        <textarea
+          rows="3"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="mt-2 w-full border border-gray-300 p-2 rounded-md"
+          aria-label={`Brief for ${section.name}`}
+        />
+        <p className="text-xs text-gray-500">Edit the brief and regenerate to replace this section's materials, method and labour.</p>
+      </details>
+
+      {alternatives.length > 0 && (
+        <div>
+          <h4 className="text-lg font-semibold text-gray-700 mb-2">Options</h4>
+          <AlternativesComparison alternatives={alternatives} onSelect={onSelectAlternative} />
+        </div>
+      )}
+
+      {selectedTier >= 1 && (
+        <div>
+          <h4 className="text-lg font-semibold text-gray-700 mb-2">Materials</h4>
+          <QuoteTable
+            materials={materials}
+            totalCost={totals?.materials ?? 0}
+            wasteAllowances={wasteAllowances}
+            onSelectProduct={onSelectProduct}
+            onReplaceOptions={onReplaceOptions}
+            onChangeMaterials={onChangeMaterials}
+            onAddToCart={onAddToCart}
+          />
+        </div>
+      )}
+
+      {selectedTier >= 2 && section.method && (
+        <div>
+          <h4 className="text-lg font-semibold text-gray-700 mb-2">Method & Considerations</h4>
+          <ConstructionMethod method={section.method} />
+        </div>
+      )}
+
+      {selectedTier === 3 && (
+        <div>
+          <h4 className="text-lg font-semibold text-gray-700 mb-2">Labour</h4>
+          <LabourTable labour={labour} labourRates={labourRates} onChange={onChangeLabour} />
+        </div>
+      )}
+    </section>
+  );
+}
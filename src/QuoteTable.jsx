@@ -1,52 +1,221 @@
 import React, { useState } from 'react';
+import { GripVertical, Plus, Trash2 } from 'lucide-react';
 import ProductDropdown from './ProductDropdown';
+import { createMaterialId, getMaterialLine, getSelectedOption } from './lib/materials';
+import { formatPackSize } from './lib/packs';
+import { WASTE_CATEGORIES, categoriseMaterial, resolveWasteAllowances } from './lib/waste';
+import { getMaterialVatTreatment } from './lib/totals';
+import { VAT_TREATMENTS } from './lib/vat';
 
-export default function QuoteTable({ materials = [], totalCost, onAddToCart }) {
-  const [selections, setSelections] = useState({});
+const formatPrice = (value) => `£${(Number(value) || 0).toFixed(2)}`;
 
-  const handleSelect = (id, name) => {
-    const updated = { ...selections, [id]: name };
-    setSelections(updated);
+const STANDARD_UNITS = ['m²', 'm³', 'm', 'kg', 'tonnes', 'litres', 'each', 'bags', 'packs'];
+
+export default function QuoteTable({
+  materials = [],
+  totalCost,
+  wasteAllowances,
+  onSelectProduct,
+  onReplaceOptions,
+  onAddToCart,
+  onChangeMaterials,
+}) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const allowances = resolveWasteAllowances(wasteAllowances);
+
+  const handleSelect = (item, name) => {
+    const option = item.options.find(opt => opt.name === name);
+    if (option) onSelectProduct(item.id, option);
+  };
+
+  const handleAdd = (item) => {
+    const selected = getSelectedOption(item);
+    if (selected) onAddToCart(item.id, selected.name);
+  };
+
+  const updateRow = (id, changes) => {
+    onChangeMaterials(materials.map(m => (m.id === id ? { ...m, ...changes } : m)));
+  };
+
+  // The category follows the name only while it's unset or still the one the
+  // old name implied, so a category chosen by hand or by the AI stays put
+  const handleNameChange = (item, name) => {
+    if (item.category && item.category !== categoriseMaterial(item.name)) {
+      updateRow(item.id, { name });
+      return;
+    }
+    const category = categoriseMaterial(name);
+    updateRow(item.id, { name, category, wastePercent: allowances[category] ?? 0 });
+  };
+
+  const handleCategoryChange = (id, category) => {
+    updateRow(id, { category, wastePercent: allowances[category] ?? 0 });
+  };
+
+  const handleQuantityChange = (id, value) => {
+    updateRow(id, { quantity: value === '' ? '' : Math.max(0, Number(value)) });
+  };
+
+  const handleAddRow = () => {
+    onChangeMaterials([
+      ...materials,
+      {
+        id: createMaterialId(),
+        name: '',
+        quantity: 1,
+        unit: 'each',
+        category: 'other',
+        wastePercent: allowances.other ?? 0,
+        options: [],
+        unitPrice: 0,
+      },
+    ]);
   };
 
-  const handleAdd = (id) => {
-    if (selections[id]) onAddToCart(id, selections[id]);
+  const handleDeleteRow = (id) => {
+    onChangeMaterials(materials.filter(m => m.id !== id));
+  };
+
+  const handleDrop = (targetIndex) => {
+    if (dragIndex === null || dragIndex === targetIndex) return;
+    const reordered = [...materials];
+    const [moved] = reordered.splice(dragIndex, 1);
+    reordered.splice(targetIndex, 0, moved);
+    setDragIndex(null);
+    onChangeMaterials(reordered);
   };
 
   return (
     <table className="w-full text-sm border">
       <thead className="bg-gray-100 text-gray-700">
         <tr>
+          <th className="p-2 w-6" aria-label="Reorder" />
           <th className="text-left p-2 w-1/2">Material</th>
           <th className="text-center p-2">Qty</th>
           <th className="text-center p-2">Unit</th>
+          <th className="text-center p-2">Waste</th>
+          <th className="text-center p-2">Packs</th>
+          <th className="text-right p-2">Pack Price</th>
+          <th className="text-right p-2">Line Total</th>
+          <th className="text-center p-2">VAT</th>
           <th className="text-center p-2">Action</th>
         </tr>
       </thead>
       <tbody>
-        {materials.map((item) => {
+        {materials.map((item, index) => {
           const hasOptions = item.options?.length > 0;
-          const defaultName = hasOptions ? item.options[0]?.name : item.name;
+          const line = getMaterialLine(item);
+          const selected = line.option;
+          const { unitPrice } = line;
 
           return (
-            <tr key={item.id} className="border-b align-top">
-              <td className="p-2">
-                {hasOptions ? (
-                  <ProductDropdown
-                    options={item.options}
-                    value={selections[item.id] || defaultName}
-                    onChange={(val) => handleSelect(item.id, val)}
-                  />
+            <tr
+              key={item.id}
+              className={`border-b align-top ${dragIndex === index ? 'opacity-50' : ''}`}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleDrop(index)}
+            >
+              <td className="p-2 text-gray-400">
+                <span
+                  draggable
+                  onDragStart={() => setDragIndex(index)}
+                  onDragEnd={() => setDragIndex(null)}
+                  className="cursor-move"
+                  title="Drag to reorder"
+                >
+                  <GripVertical size={16} />
+                </span>
+              </td>
+              <td className="p-2 space-y-2">
+                <input
+                  type="text"
+                  value={item.name}
+                  onChange={(e) => handleNameChange(item, e.target.value)}
+                  placeholder="Material name"
+                  className="w-full p-1 border rounded text-gray-800"
+                />
+                <ProductDropdown
+                  options={item.options}
+                  value={selected?.name}
+                  onChange={(val) => handleSelect(item, val)}
+                  searchTerm={item.name}
+                  onReplaceOptions={(options, product) => onReplaceOptions(item.id, options, product)}
+                />
+              </td>
+              <td className="text-center p-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={item.quantity}
+                  onChange={(e) => handleQuantityChange(item.id, e.target.value)}
+                  className="w-20 p-1 border rounded text-center"
+                />
+              </td>
+              <td className="text-center p-2">
+                <input
+                  type="text"
+                  list="material-units"
+                  value={item.unit || ''}
+                  onChange={(e) => updateRow(item.id, { unit: e.target.value })}
+                  className="w-20 p-1 border rounded text-center"
+                />
+              </td>
+              <td className="text-center p-2">
+                <select
+                  value={item.category || 'other'}
+                  onChange={(e) => handleCategoryChange(item.id, e.target.value)}
+                  className="mb-1 p-1 border rounded bg-white text-xs"
+                  title="Waste category"
+                >
+                  {WASTE_CATEGORIES.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                </select>
+                {line.wastePercent > 0 ? (
+                  <>
+                    +{line.wastePercent}%
+                    <div className="text-xs text-gray-500">+{line.wasteQuantity} {item.unit}</div>
+                  </>
                 ) : (
-                  <div className="text-gray-800">{item.name}</div>
+                  <span className="text-gray-400">–</span>
+                )}
+              </td>
+              <td className="text-center p-2">
+                {line.packs}
+                {line.perPack && (
+                  <div className="text-xs text-gray-500">× {formatPackSize(line.perPack)}</div>
+                )}
+                {line.overage > 0 && (
+                  <div className="text-xs text-amber-600">+{line.overage} {item.unit} over</div>
+                )}
+                {line.perPack && !line.converted && (
+                  <div className="text-xs text-red-600" title="The material's unit doesn't match the product's pack size">
+                    check units
+                  </div>
                 )}
               </td>
-              <td className="text-center p-2">{item.quantity}</td>
-              <td className="text-center p-2">{item.unit}</td>
+              <td className="text-right p-2">
+                {formatPrice(unitPrice)}
+                {selected?.rrp > unitPrice && (
+                  <div className="text-xs text-gray-400 line-through">RRP {formatPrice(selected.rrp)}</div>
+                )}
+              </td>
+              <td className="text-right p-2">{formatPrice(line.lineTotal)}</td>
               <td className="text-center p-2">
+                <select
+                  value={getMaterialVatTreatment(item, line)}
+                  onChange={(e) => updateRow(item.id, { vatTreatment: e.target.value })}
+                  className="p-1 border rounded bg-white text-xs"
+                  title="VAT treatment"
+                >
+                  {VAT_TREATMENTS.map(t => (
+                    <option key={t.id} value={t.id} title={t.label}>{t.shortLabel}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="text-center p-2 space-y-2">
                 {hasOptions ? (
                   <button
-                    onClick={() => handleAdd(item.id)}
+                    onClick={() => handleAdd(item)}
                     className="text-xs px-3 py-1 bg-[#275262] text-white rounded hover:opacity-90"
                   >
                     Add to Cart
@@ -54,16 +223,39 @@ export default function QuoteTable({ materials = [], totalCost, onAddToCart }) {
                 ) : (
                   <span className="text-gray-400 text-xs">(to be quoted)</span>
                 )}
+                <button
+                  onClick={() => handleDeleteRow(item.id)}
+                  className="block mx-auto text-red-600 hover:text-red-700"
+                  title="Remove material"
+                  aria-label={`Remove ${item.name || 'material'}`}
+                >
+                  <Trash2 size={16} />
+                </button>
               </td>
             </tr>
           );
         })}
 
+        <tr>
+          <td colSpan="10" className="p-2">
+            <button
+              onClick={handleAddRow}
+              className="flex items-center gap-1 text-xs px-3 py-1 border border-[#275262] text-[#275262] rounded hover:bg-gray-50"
+            >
+              <Plus size={14} /> Add material
+            </button>
+            <datalist id="material-units">
+              {STANDARD_UNITS.map(unit => <option key={unit} value={unit} />)}
+            </datalist>
+          </td>
+        </tr>
+
         <tr className="bg-gray-50 font-semibold">
-          <td colSpan="3" className="p-2 text-right">
+          <td colSpan="7" className="p-2 text-right">
             Subtotal
           </td>
-          <td className="p-2 text-right">£{(totalCost || 0).toFixed(2)}</td>
+          <td className="p-2 text-right">{formatPrice(totalCost)}</td>
+          <td colSpan="2" />
         </tr>
       </tbody>
     </table>
@@ -0,0 +1,124 @@
+// src/RefineQuote.jsx
+import React, { useMemo, useState } from 'react';
+import RevisionDiff from './RevisionDiff';
+import { diffQuotes } from './lib/diff';
+import { applyQuotePatch } from './lib/patch';
+import { refineQuote } from './lib/generateApi';
+import { getQuoteSections } from './lib/sections';
+
+// Follow-up instructions like "use 150mm sub-base" or "add edging", previewed
+// as a diff before anything on the quote changes
+export default function RefineQuote({ quote, labourRates, onApply }) {
+  const sections = getQuoteSections(quote);
+  const [sectionId, setSectionId] = useState(sections[0].id);
+  const [instruction, setInstruction] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  // The section may have been removed since it was picked
+  const targetId = sections.some(s => s.id === sectionId) ? sectionId : sections[0].id;
+
+  const preview = useMemo(() => {
+    if (!result) return null;
+    const patched = applyQuotePatch(quote, result.patch, { labourRates });
+    return { patched, diff: diffQuotes(quote, patched) };
+  }, [quote, result, labourRates]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!instruction.trim()) return;
+    setLoading(true);
+    setResult(null);
+    try {
+      setResult(await refineQuote(quote, targetId, instruction.trim()));
+    } catch (error) {
+      console.error(error);
+      alert(`Failed to work out the change: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApply = () => {
+    onApply(preview.patched, result);
+    setResult(null);
+    setInstruction('');
+  };
+
+  return (
+    <details className="border rounded p-4 text-sm">
+      <summary className="cursor-pointer font-semibold text-gray-700">Change part of the quote</summary>
+
+      <form onSubmit={handleSubmit} className="mt-4 space-y-3">
+        {sections.length > 1 && (
+          <label className="block">
+            <span className="text-gray-700">Section</span>
+            <select
+              value={targetId}
+              onChange={(e) => {
+                setSectionId(e.target.value);
+                setResult(null);
+              }}
+              className="ml-2 p-1 border border-gray-300 rounded"
+            >
+              {sections.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+            </select>
+          </label>
+        )}
+        <textarea
+          rows="2"
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          placeholder="e.g. Use 150mm sub-base not 100mm, and add block edging along the lawn side"
+          className="w-full p-2 border border-gray-300 rounded-md"
+        />
+        <button
+          type="submit"
+          disabled={loading || !instruction.trim()}
+          className="bg-teal-700 hover:bg-teal-800 text-white px-4 py-2 rounded disabled:opacity-50"
+        >
+          {loading ? 'Working out the change...' : 'Preview change'}
+        </button>
+      </form>
+
+      {preview && (
+        <div className="mt-4 space-y-4">
+          {result.patch.summary && <p className="text-gray-800">{result.patch.summary}</p>}
+          {result.warnings?.length > 0 && (
+            <ul className="list-disc pl-5 text-yellow-800">
+              {result.warnings.map((w, i) => <li key={i}>{w.message}</li>)}
+            </ul>
+          )}
+
+          <RevisionDiff diff={preview.diff} beforeLabel="Current" afterLabel="After change" />
+
+          {result.patch.method && (
+            <div>
+              <h4 className="font-semibold text-gray-700">Revised method</h4>
+              <ol className="list-decimal pl-5">
+                {result.patch.method.steps.map((step, i) => <li key={i}>{step}</li>)}
+              </ol>
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleApply}
+              className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-4 py-2 rounded"
+            >
+              Apply change
+            </button>
+            <button
+              type="button"
+              onClick={() => setResult(null)}
+              className="px-4 py-2 rounded border hover:bg-gray-50"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+    </details>
+  );
+}
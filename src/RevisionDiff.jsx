@@ -0,0 +1,105 @@
+// src/RevisionDiff.jsx
+import React from 'react';
+
+const formatPrice = (value) => `£${(Number(value) || 0).toFixed(2)}`;
+const formatChange = (value) => `${value > 0 ? '+' : value < 0 ? '−' : ''}${formatPrice(Math.abs(value))}`;
+
+const describe = (row) =>
+  row ? `${row.quantity} ${row.unit}${row.packs !== undefined ? ` (${row.packs} packs)` : ''} @ ${formatPrice(row.unitPrice)}` : '';
+
+const TOTAL_LABELS = {
+  materials: 'Materials',
+  labour: 'Labour',
+  net: 'Subtotal (ex. VAT)',
+  vat: 'VAT',
+  total: 'Total (inc. VAT)',
+};
+
+function DiffRows({ title, section }) {
+  const rows = [
+    ...section.removed.map(r => ({ ...r, status: 'removed' })),
+    ...section.added.map(r => ({ ...r, status: 'added' })),
+    ...section.changed.map(r => ({ ...r, status: 'changed' })),
+  ];
+
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500">No changes to {title.toLowerCase()}.</p>;
+  }
+
+  const rowClass = {
+    added: 'bg-green-50',
+    removed: 'bg-red-50 line-through text-gray-500',
+    changed: 'bg-amber-50',
+  };
+
+  return (
+    <table className="w-full text-sm border">
+      <thead className="bg-gray-100 text-gray-700">
+        <tr>
+          <th className="text-left p-2">{title}</th>
+          <th className="text-left p-2">Before</th>
+          <th className="text-left p-2">After</th>
+          <th className="text-right p-2">Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => {
+          const before = row.before?.lineTotal || 0;
+          const after = row.after?.lineTotal || 0;
+          return (
+            <tr key={`${row.status}-${row.id}`} className={`border-b ${rowClass[row.status]}`}>
+              <td className="p-2">
+                {(row.after || row.before).name}
+                {row.after?.product && row.after.product !== row.after.name && (
+                  <div className="text-xs text-gray-500">{row.after.product}</div>
+                )}
+                <div className="text-xs uppercase tracking-wide text-gray-400">{row.status}</div>
+              </td>
+              <td className="p-2">
+                {describe(row.before)}
+                {row.before && <div className="text-xs">{formatPrice(before)}</div>}
+              </td>
+              <td className="p-2">
+                {describe(row.after)}
+                {row.after && <div className="text-xs">{formatPrice(after)}</div>}
+              </td>
+              <td className="p-2 text-right">{formatChange(after - before)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+export default function RevisionDiff({ diff, beforeLabel, afterLabel }) {
+  return (
+    <div className="space-y-4">
+      <DiffRows title="Materials" section={diff.materials} />
+      <DiffRows title="Labour" section={diff.labour} />
+
+      <table className="w-full text-sm border">
+        <thead className="bg-gray-100 text-gray-700">
+          <tr>
+            <th className="text-left p-2">Totals</th>
+            <th className="text-right p-2">{beforeLabel}</th>
+            <th className="text-right p-2">{afterLabel}</th>
+            <th className="text-right p-2">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(diff.totals).map(([key, value]) => (
+            <tr key={key} className={`border-b ${key === 'total' ? 'font-semibold' : ''}`}>
+              <td className="p-2">{TOTAL_LABELS[key]}</td>
+              <td className="p-2 text-right">{formatPrice(value.before)}</td>
+              <td className="p-2 text-right">{formatPrice(value.after)}</td>
+              <td className={`p-2 text-right ${value.change > 0 ? 'text-red-700' : value.change < 0 ? 'text-green-700' : ''}`}>
+                {formatChange(value.change)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+// src/RevisionHistory.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import RevisionDiff from './RevisionDiff';
+import { diffQuotes } from './lib/diff';
+import { createRevision, listRevisions } from './lib/quotesApi';
+
+const CURRENT = 'current';
+
+export default function RevisionHistory({ quote, onRevisionSaved }) {
+  const quoteNumber = quote.customerQuote?.quoteNumber;
+  const currentRevision = quote.customerQuote?.revision;
+  const [revisions, setRevisions] = useState([]);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [compare, setCompare] = useState({ from: '', to: CURRENT });
+
+  useEffect(() => {
+    if (!quoteNumber) return undefined;
+    let cancelled = false;
+
+    listRevisions(quoteNumber)
+      .then(({ revisions: found }) => {
+        if (cancelled) return;
+        setRevisions(found);
+        setCompare({ from: found[found.length - 1]?.letter || '', to: CURRENT });
+      })
+      .catch(err => {
+        // A quote that hasn't been autosaved yet has no history
+        if (!cancelled && err.status !== 404) console.error('Failed to load revisions:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [quoteNumber, currentRevision]);
+
+  const diff = useMemo(() => {
+    const pick = (value) =>
+      value === CURRENT ? quote : revisions.find(r => r.letter === value)?.quote;
+    const before = pick(compare.from);
+    const after = pick(compare.to);
+    return before && after ? diffQuotes(before, after) : null;
+  }, [compare, revisions, quote]);
+
+  const handleSaveRevision = async () => {
+    setSaving(true);
+    try {
+      const revision = await createRevision(quoteNumber, { note, quote });
+      const updated = [...revisions, revision];
+      setRevisions(updated);
+      setNote('');
+      setCompare({ from: updated[updated.length - 2]?.letter || revision.letter, to: revision.letter });
+      onRevisionSaved(revision.letter);
+    } catch (err) {
+      alert('Failed to save the revision. Please check the console for details.');
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const label = (value) => (value === CURRENT ? 'Current edits' : `Revision ${value}`);
+
+  return (
+    <details className="border rounded p-4 text-sm">
+      <summary className="cursor-pointer font-semibold text-gray-700">
+        Revisions {currentRevision ? `(current: ${currentRevision})` : ''}
+      </summary>
+
+      <div className="mt-4 space-y-4">
+        {revisions.length > 0 ? (
+          <ul className="space-y-1">
+            {revisions.map(r => (
+              <li key={r.letter}>
+                <strong>Revision {r.letter}</strong>{' '}
+                <span className="text-gray-500">{new Date(r.createdAt).toLocaleString('en-GB')}</span>
+                {r.note && <span className="text-gray-700"> – {r.note}</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500">This quote hasn't been saved yet.</p>
+        )}
+
+        <div className="flex gap-2 flex-wrap items-center">
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="What changed? e.g. Customer asked for porcelain instead of sandstone"
+            className="flex-1 min-w-[16rem] border px-3 py-2 rounded"
+          />
+          <button
+            onClick={handleSaveRevision}
+            disabled={saving || revisions.length === 0}
+            className="bg-[#275262] hover:bg-[#1e3d4f] text-white px-4 py-2 rounded disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save as New Revision'}
+          </button>
+        </div>
+
+        {revisions.length > 0 && (
+          <div className="space-y-3">
+            <div className="flex gap-2 items-center">
+              <span>Compare</span>
+              {['from', 'to'].map(side => (
+                <select
+                  key={side}
+                  value={compare[side]}
+                  onChange={(e) => setCompare({ ...compare, [side]: e.target.value })}
+                  className="border px-2 py-1 rounded"
+                >
+                  {revisions.map(r => (
+                    <option key={r.letter} value={r.letter}>Revision {r.letter}</option>
+                  ))}
+                  <option value={CURRENT}>Current edits</option>
+                </select>
+              ))}
+            </div>
+            {diff && (
+              <RevisionDiff diff={diff} beforeLabel={label(compare.from)} afterLabel={label(compare.to)} />
+            )}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
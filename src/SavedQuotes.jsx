@@ -0,0 +1,119 @@
+// src/SavedQuotes.jsx
+import React, { useEffect, useState } from 'react';
+import { deleteQuote, getQuote, listQuotes } from './lib/quotesApi';
+import { getStatusInfo } from './lib/quoteStatus';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const PAGE_SIZE = 20;
+
+export default function SavedQuotes({ currentQuoteNumber, onLoad, onDeleted }) {
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ items: [], total: 0 });
+  const [selectedId, setSelectedId] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const found = await listQuotes({ search, page, pageSize: PAGE_SIZE });
+        if (!cancelled) setResult(found);
+      } catch (err) {
+        console.error('Failed to list saved quotes:', err);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search, page, currentQuoteNumber, refreshKey]);
+
+  const handleLoad = async (id) => {
+    setSelectedId(id);
+    if (!id) return;
+    try {
+      const record = await getQuote(id);
+      onLoad(record.quote);
+    } catch (err) {
+      alert('Failed to load the saved quote.');
+      console.error(err);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteQuote(id);
+      setSelectedId('');
+      setRefreshKey(k => k + 1);
+      onDeleted(id);
+    } catch (err) {
+      alert('Failed to delete the saved quote.');
+      console.error(err);
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  if (result.total === 0 && !search) return null;
+
+  return (
+    <div className="flex gap-2 flex-wrap items-center">
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => {
+          setSearch(e.target.value);
+          setPage(1);
+        }}
+        placeholder="Search saved quotes"
+        className="border px-3 py-2 rounded text-sm"
+      />
+      <select
+        value={selectedId}
+        onChange={(e) => handleLoad(e.target.value)}
+        className="border px-3 py-2 rounded text-sm"
+      >
+        <option value="">Load Saved Quote ({result.total})</option>
+        {result.items.map(item => (
+          <option key={item.id} value={item.id}>
+            {item.quoteNumber}
+            {item.revision ? ` Rev ${item.revision}` : ''}
+            {item.customerName ? ` – ${item.customerName}` : ''} (£{item.total.toFixed(2)})
+            {item.status && item.status !== 'draft' ? ` – ${getStatusInfo(item.status).label}` : ''}
+          </option>
+        ))}
+      </select>
+
+      {pageCount > 1 && (
+        <span className="flex items-center gap-1 text-sm">
+          <button
+            onClick={() => setPage(p => Math.max(1, p - 1))}
+            disabled={page === 1}
+            className="px-2 py-1 border rounded disabled:opacity-50"
+          >
+            ‹
+          </button>
+          {page}/{pageCount}
+          <button
+            onClick={() => setPage(p => Math.min(pageCount, p + 1))}
+            disabled={page === pageCount}
+            className="px-2 py-1 border rounded disabled:opacity-50"
+          >
+            ›
+          </button>
+        </span>
+      )}
+
+      {selectedId && (
+        <button
+          onClick={() => handleDelete(selectedId)}
+          className="bg-red-600 hover:bg-red-700 text-white px-3 py-2 rounded text-sm"
+        >
+          Delete Quote
+        </button>
+      )}
+    </div>
+  );
+}
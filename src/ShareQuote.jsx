@@ -0,0 +1,114 @@
+// src/ShareQuote.jsx
+import React, { useEffect, useState } from 'react';
+import { Copy, Link2 } from 'lucide-react';
+import { getQuoteShare, revokeQuoteShare, shareQuote } from './lib/quotesApi';
+import { getStatusInfo } from './lib/quoteStatus';
+import { shareUrl } from './lib/shareApi';
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString('en-GB') : '');
+
+// The customer link for the open quote and where the customer is with it
+export default function ShareQuote({ quoteNumber }) {
+  const [share, setShare] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!quoteNumber) return undefined;
+    let cancelled = false;
+    getQuoteShare(quoteNumber)
+      .then(found => {
+        if (!cancelled) setShare(found);
+      })
+      .catch(err => {
+        // A quote that hasn't been autosaved yet can't be shared
+        if (!cancelled && err.status !== 404) console.error('Failed to load the share link:', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [quoteNumber]);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      setShare(await action(quoteNumber));
+    } catch (err) {
+      alert(err.status === 404 ? 'The quote is still being saved. Please try again in a moment.' : err.message);
+      console.error(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const url = share?.path ? shareUrl(share.path) : '';
+  const status = getStatusInfo(share?.status);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch {
+      window.prompt('Copy the link:', url);
+    }
+  };
+
+  return (
+    <div className="border rounded p-4 text-sm space-y-3">
+      <div className="flex items-center gap-2">
+        <h4 className="font-semibold text-gray-700">Customer link</h4>
+        <span className={`px-2 py-0.5 rounded text-xs font-semibold ${status.className}`}>{status.label}</span>
+      </div>
+
+      {url ? (
+        <>
+          <div className="flex gap-2 items-center">
+            <input type="text" readOnly value={url} className="flex-1 p-2 border rounded bg-gray-50 text-xs" />
+            <button type="button" onClick={handleCopy} className="flex items-center gap-1 px-3 py-2 border rounded hover:bg-gray-50">
+              <Copy size={14} /> Copy
+            </button>
+          </div>
+          <p className="text-gray-600">
+            Sent {formatDateTime(share.sentAt)}{share.revision && ` (Revision ${share.revision})`}
+            {share.viewedAt && <>, first viewed {formatDateTime(share.viewedAt)}</>}
+          </p>
+        </>
+      ) : (
+        <p className="text-gray-600">
+          Share a read-only copy the customer can accept or decline online.
+        </p>
+      )}
+
+      {share?.response && (
+        <p className={share.response.decision === 'accept' ? 'text-green-700' : 'text-red-700'}>
+          {share.response.decision === 'accept' ? 'Accepted' : 'Declined'} by <strong>{share.response.name}</strong>
+          {' '}on {formatDateTime(share.response.at)}
+          {share.response.revision && ` (Revision ${share.response.revision})`}
+        </p>
+      )}
+
+      <div className="flex gap-2 flex-wrap">
+        {share?.status !== 'accepted' && (
+          <button
+            type="button"
+            onClick={() => run(shareQuote)}
+            disabled={busy}
+            className="flex items-center gap-1 bg-[#275262] hover:bg-[#1e3d4f] text-white px-4 py-2 rounded disabled:opacity-50"
+          >
+            <Link2 size={14} /> {url ? 'Send latest version' : 'Create link'}
+          </button>
+        )}
+        {url && (
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm('Withdraw the link? The customer will no longer be able to open it.')) run(revokeQuoteShare);
+            }}
+            disabled={busy}
+            className="px-4 py-2 rounded border hover:bg-gray-50 disabled:opacity-50"
+          >
+            Withdraw link
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
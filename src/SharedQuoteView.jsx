@@ -0,0 +1,153 @@
+// src/SharedQuoteView.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import CustomerQuote from './CustomerQuote';
+import { calculateQuoteTotals } from './lib/totals';
+import { getQuoteLabour } from './lib/labour';
+import { calculateSectionTotals, getQuoteSections } from './lib/sections';
+import { getSectionAlternatives } from './lib/alternatives';
+import { getStatusInfo } from './lib/quoteStatus';
+import { getSharedQuote, respondToSharedQuote } from './lib/shareApi';
+
+const formatDateTime = (iso) => new Date(iso).toLocaleString('en-GB', { dateStyle: 'long', timeStyle: 'short' });
+
+// The read-only quote a customer sees at /q/<token>, where they can accept or decline it
+export default function SharedQuoteView({ token }) {
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState('');
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSharedQuote(token)
+      .then(found => {
+        if (!cancelled) setShared(found);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const quote = shared?.quote;
+  const totals = useMemo(() => (quote ? calculateQuoteTotals(quote) : null), [quote]);
+
+  const handleRespond = async (decision) => {
+    if (!name.trim()) return;
+    const verb = decision === 'accept' ? 'accept' : 'decline';
+    if (!window.confirm(`Are you sure you want to ${verb} this quote?`)) return;
+    setSubmitting(true);
+    try {
+      setShared(await respondToSharedQuote(token, { decision, name: name.trim() }));
+    } catch (err) {
+      alert(err.message);
+      // The quote may have expired or been answered elsewhere; show where it stands now
+      getSharedQuote(token).then(setShared).catch(() => {});
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-100 p-6 font-sans">
+        <p className="max-w-xl mx-auto bg-white p-6 rounded-lg shadow text-gray-700">{error}</p>
+      </div>
+    );
+  }
+  if (!quote) {
+    return <p className="p-6 text-center text-gray-500 font-sans">Loading quote...</p>;
+  }
+
+  const cq = quote.customerQuote || {};
+  const sections = getQuoteSections(quote);
+  const options = sections
+    .map(section => ({ section, alternatives: getSectionAlternatives(quote, section.id) }))
+    .filter(({ alternatives }) => alternatives.length > 0);
+  const status = getStatusInfo(shared.status);
+  const canRespond = shared.status === 'sent' || shared.status === 'viewed';
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-6 font-sans">
+      <div className="max-w-3xl mx-auto bg-white p-6 rounded-lg shadow-lg space-y-6">
+        <header className="flex justify-between items-start gap-4 flex-wrap">
+          <div>
+            {cq.logo && <img src={cq.logo} alt="" className="h-14 mb-2" />}
+            <p className="text-lg font-bold text-[#275262]">{cq.company?.name}</p>
+            <p className="text-sm text-gray-500 whitespace-pre-line">{cq.company?.address}</p>
+          </div>
+          <div className="text-right text-sm">
+            <span className={`inline-block px-2 py-1 rounded text-xs font-semibold ${status.className}`}>
+              {status.label}
+            </span>
+            {cq.customer?.name && <p className="mt-2 text-gray-700">For {cq.customer.name}</p>}
+            {cq.customer?.address && <p className="text-gray-500 whitespace-pre-line">{cq.customer.address}</p>}
+          </div>
+        </header>
+
+        <CustomerQuote
+          customerQuote={cq}
+          clarifications={quote.clarifications}
+          labour={getQuoteLabour(quote)}
+          sectionTotals={sections.length > 1 ? calculateSectionTotals(quote) : []}
+          options={options}
+          totals={totals}
+        />
+
+        {shared.response && (
+          <p className={`p-4 rounded ${shared.response.decision === 'accept' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+            {shared.response.decision === 'accept' ? 'Accepted' : 'Declined'} by <strong>{shared.response.name}</strong>
+            {' '}on {formatDateTime(shared.response.at)}.
+          </p>
+        )}
+
+        {shared.status === 'expired' && (
+          <p className="p-4 rounded bg-amber-50 text-amber-800">
+            This quote expired on {new Date(shared.validUntil).toLocaleDateString('en-GB')}.
+            Please contact {cq.company?.name || 'us'} for an updated quote.
+          </p>
+        )}
+
+        {canRespond && (
+          <form onSubmit={(e) => e.preventDefault()} className="border-t pt-6 space-y-3">
+            <h2 className="font-semibold text-gray-800">Accept or decline this quote</h2>
+            <label className="block text-sm text-gray-700">
+              Type your full name to confirm
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={120}
+                autoComplete="name"
+                className="mt-1 w-full p-2 border border-gray-300 rounded"
+              />
+            </label>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => handleRespond('accept')}
+                disabled={submitting || !name.trim()}
+                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded disabled:opacity-50"
+              >
+                Accept quote
+              </button>
+              <button
+                type="button"
+                onClick={() => handleRespond('decline')}
+                disabled={submitting || !name.trim()}
+                className="px-4 py-2 rounded border hover:bg-gray-50 disabled:opacity-50"
+              >
+                Decline
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              Your name and the date and time of your response are recorded with the quote.
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// src/WasteAllowances.jsx
+import React from 'react';
+import { WASTE_CATEGORIES, resolveWasteAllowances } from './lib/waste';
+
+export default function WasteAllowances({ allowances, onChange }) {
+  const values = resolveWasteAllowances(allowances);
+
+  const handleChange = (category, value) => {
+    onChange({ ...values, [category]: Math.min(100, Math.max(0, Number(value) || 0)) });
+  };
+
+  return (
+    <details className="text-sm border rounded p-3 bg-gray-50">
+      <summary className="cursor-pointer font-medium text-gray-700">
+        Waste & breakage allowances
+      </summary>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+        {WASTE_CATEGORIES.map(category => (
+          <label key={category.id} className="flex flex-col text-xs text-gray-600">
+            {category.label}
+            <div className="flex items-center gap-1 mt-1">
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.5"
+                value={values[category.id]}
+                onChange={(e) => handleChange(category.id, e.target.value)}
+                className="w-20 p-1 border rounded text-sm"
+              />
+              <span>%</span>
+            </div>
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+}
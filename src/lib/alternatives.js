@@ -0,0 +1,78 @@
+// src/lib/alternatives.js
+// Good/better/best options for a section. `quote.alternatives` holds every
+// option; `quote.selectedAlternatives` maps section id → the option in use.
+// The option in use lives in `quote.materials` like any other section, so it
+// can still be edited; the others keep a snapshot of their materials.
+import { calculateQuoteTotals } from './totals.js';
+import { getSectionItems, setSectionItems } from './sections.js';
+
+export const ALTERNATIVE_TIERS = [
+  { id: 'good', label: 'Good' },
+  { id: 'better', label: 'Better' },
+  { id: 'best', label: 'Best' },
+];
+
+const tierOrder = (tier) => ALTERNATIVE_TIERS.findIndex(t => t.id === tier);
+
+const selectedId = (quote, sectionId) => quote.selectedAlternatives?.[sectionId];
+
+/**
+ * A section's options in tier order, each with its current materials, the
+ * quote totals it would give and whether it's selected.
+ */
+export function getSectionAlternatives(quote, sectionId) {
+  const current = selectedId(quote, sectionId);
+  return (quote.alternatives || [])
+    .filter(alt => alt.sectionId === sectionId)
+    .sort((a, b) => tierOrder(a.tier) - tierOrder(b.tier))
+    .map(alt => {
+      const selected = alt.id === current;
+      const materials = selected ? getSectionItems(quote, sectionId).materials : alt.materials;
+      const totals = calculateQuoteTotals(
+        selected ? quote : setSectionItems(quote, sectionId, { materials })
+      );
+      return { ...alt, materials, selected, totals };
+    });
+}
+
+/**
+ * Stores freshly generated good and best options for a section. The section's
+ * current materials become the "better" option, which stays selected.
+ */
+export function addAlternatives(quote, sectionId, generated, { name = 'As quoted' } = {}) {
+  const better = {
+    id: `${sectionId}-alt-better`,
+    sectionId,
+    tier: 'better',
+    name,
+    summary: 'The specification as originally quoted.',
+    materials: [],
+  };
+  return {
+    ...quote,
+    alternatives: [
+      ...(quote.alternatives || []).filter(alt => alt.sectionId !== sectionId),
+      better,
+      ...generated.map(alt => ({ ...alt, sectionId })),
+    ],
+    selectedAlternatives: { ...(quote.selectedAlternatives || {}), [sectionId]: better.id },
+  };
+}
+
+/**
+ * Switches a section to another option, keeping any edits made to the one
+ * that was in use.
+ */
+export function selectAlternative(quote, sectionId, alternativeId) {
+  const current = selectedId(quote, sectionId);
+  const target = (quote.alternatives || []).find(alt => alt.id === alternativeId);
+  if (!target || alternativeId === current) return quote;
+
+  const { materials: inUse } = getSectionItems(quote, sectionId);
+  const alternatives = quote.alternatives.map(alt => (alt.id === current ? { ...alt, materials: inUse } : alt));
+  const next = setSectionItems({ ...quote, alternatives }, sectionId, { materials: target.materials });
+  return {
+    ...next,
+    selectedAlternatives: { ...(quote.selectedAlternatives || {}), [sectionId]: alternativeId },
+  };
+}
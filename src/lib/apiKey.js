@@ -0,0 +1,28 @@
+// src/lib/apiKey.js
+// The contractor API key (the server's CONTRACTOR_API_KEY), asked for once and
+// kept in localStorage. Every API client except the customer's share page
+// sends its requests through apiFetch.
+
+const STORAGE_KEY = 'contractorApiKey';
+
+const storedKey = () => localStorage.getItem(STORAGE_KEY) || '';
+
+/**
+ * fetch() with the API key in the X-Api-Key header. If the server turns the
+ * key down, the user is asked for it and the request is tried once more.
+ */
+export async function apiFetch(url, options = {}) {
+  const send = (key) => fetch(url, { ...options, headers: { ...options.headers, 'X-Api-Key': key } });
+
+  const sent = storedKey();
+  const response = await send(sent);
+  if (response.status !== 401) return response;
+
+  // Another request may already have asked while this one was waiting
+  if (storedKey() === sent) {
+    const entered = window.prompt('Enter the API key for this quoting tool');
+    if (!entered?.trim()) return response;
+    localStorage.setItem(STORAGE_KEY, entered.trim());
+  }
+  return send(storedKey());
+}
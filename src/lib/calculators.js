@@ -0,0 +1,236 @@
+// src/lib/calculators.js
+// Deterministic quantity calculators for common jobs. Given dimensions they
+// return the bare materials (no waste, which is applied per category later),
+// so the same job always gets the same list. Shared by the job parameters form
+// for its preview and by /api/generate-quote.
+
+// Bulk densities in tonnes per m³ once laid and compacted
+const DENSITY = { subBase: 2.1, sand: 1.6, ballast: 1.9 };
+// Cement per m³ of mix, in kg
+const CEMENT_PER_M3 = { beddingMortar: 250, masonryMortar: 350, concrete: 300 };
+// Mortar needed per m² of blockwork, per 100mm of wall thickness
+const MORTAR_M3_PER_M2 = 0.01;
+const BLOCKS_PER_M2 = 10; // 440x215mm blocks with 10mm joints
+const PLASTERBOARD_M2 = 2.88; // 2.4m x 1.2m sheet
+const MESH_SHEET_M2 = 11.52; // A142 sheet, 4.8m x 2.4m
+const POSTCRETE_KG_PER_POST = 40; // two 20kg bags
+const DECK_POST_SPACING = 1.8;
+const BOARD_GAP_MM = 5;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const yesNo = ['Yes', 'No'];
+
+export const JOB_TYPES = [
+  {
+    id: 'patio',
+    label: 'Patio',
+    fields: [
+      { id: 'length', label: 'Length', unit: 'm', default: 5 },
+      { id: 'width', label: 'Width', unit: 'm', default: 4 },
+      { id: 'paving', label: 'Paving', options: ['Indian sandstone', 'Porcelain'], default: 'Indian sandstone' },
+      { id: 'subBaseDepth', label: 'Sub-base depth', unit: 'mm', default: 100 },
+      { id: 'beddingDepth', label: 'Mortar bed depth', unit: 'mm', default: 40 },
+    ],
+    describe: (p) =>
+      `A ${p.length}m x ${p.width}m patio in ${p.paving} paving, laid on a full mortar bed ` +
+      `(${p.beddingDepth}mm) over a ${p.subBaseDepth}mm MOT Type 1 sub-base.`,
+    calculate: (p) => {
+      const area = p.length * p.width;
+      const bed = area * p.beddingDepth / 1000;
+      return [
+        { name: `${p.paving} paving slabs`, quantity: round(area), unit: 'm²', category: 'paving' },
+        { name: 'MOT Type 1 sub-base', quantity: round(area * p.subBaseDepth / 1000 * DENSITY.subBase), unit: 'tonnes', category: 'aggregates' },
+        { name: 'Sharp sand', quantity: round(bed * DENSITY.sand), unit: 'tonnes', category: 'aggregates' },
+        { name: 'Cement', quantity: Math.ceil(bed * CEMENT_PER_M3.beddingMortar), unit: 'kg', category: 'cement' },
+        { name: 'Slurry primer', quantity: Math.ceil(area), unit: 'kg', category: 'cement' },
+        { name: 'Jointing compound', quantity: Math.ceil(area), unit: 'kg', category: 'cement' },
+        { name: 'Weed control membrane', quantity: round(area), unit: 'm²', category: 'other' },
+      ];
+    },
+  },
+  {
+    id: 'fence',
+    label: 'Fence run',
+    fields: [
+      { id: 'length', label: 'Run length', unit: 'm', default: 10 },
+      { id: 'panelWidth', label: 'Panel width', unit: 'm', default: 1.83 },
+      { id: 'postType', label: 'Posts', options: ['Concrete', 'Timber'], default: 'Concrete' },
+      { id: 'gravelBoards', label: 'Gravel boards', options: yesNo, default: 'Yes' },
+    ],
+    describe: (p) =>
+      `A ${p.length}m run of ${p.panelWidth}m fence panels on ${p.postType.toLowerCase()} posts` +
+      `${p.gravelBoards === 'Yes' ? ' with concrete gravel boards' : ''}, posts set in postcrete.`,
+    calculate: (p) => {
+      const panels = Math.ceil(p.length / p.panelWidth);
+      const posts = panels + 1;
+      return [
+        { name: `Fence panel ${p.panelWidth}m`, quantity: panels, unit: 'each', category: 'timber' },
+        p.postType === 'Concrete'
+          ? { name: 'Concrete slotted fence post 2.4m', quantity: posts, unit: 'each', category: 'masonry' }
+          : { name: 'Timber fence post 100x100mm 2.4m', quantity: posts, unit: 'each', category: 'timber' },
+        p.gravelBoards === 'Yes' &&
+          { name: `Concrete gravel board ${p.panelWidth}m`, quantity: panels, unit: 'each', category: 'masonry' },
+        { name: 'Postcrete', quantity: posts * POSTCRETE_KG_PER_POST, unit: 'kg', category: 'cement' },
+      ].filter(Boolean);
+    },
+  },
+  {
+    id: 'stud-wall',
+    label: 'Stud wall',
+    fields: [
+      { id: 'length', label: 'Length', unit: 'm', default: 3 },
+      { id: 'height', label: 'Height', unit: 'm', default: 2.4 },
+      { id: 'studSpacing', label: 'Stud centres', unit: 'mm', default: 600 },
+      { id: 'boardedSides', label: 'Sides boarded', options: ['1', '2'], default: '2' },
+      { id: 'insulation', label: 'Insulation', options: yesNo, default: 'No' },
+    ],
+    describe: (p) =>
+      `A ${p.length}m long, ${p.height}m high CLS stud wall at ${p.studSpacing}mm centres, ` +
+      `plasterboarded on ${p.boardedSides === '1' ? 'one side' : 'both sides'}` +
+      `${p.insulation === 'Yes' ? ' and insulated' : ''}.`,
+    calculate: (p) => {
+      const studs = Math.ceil(p.length * 1000 / p.studSpacing) + 1;
+      // Studs, head and sole plates, and one row of noggins
+      const timber = studs * p.height + 3 * p.length;
+      const sheets = Math.ceil(p.length * p.height / PLASTERBOARD_M2) * Number(p.boardedSides);
+      return [
+        { name: 'CLS stud timber 38x89mm', quantity: round(timber), unit: 'm', category: 'timber' },
+        { name: 'Plasterboard 12.5mm 2.4m x 1.2m', quantity: sheets, unit: 'each', category: 'other' },
+        { name: 'Drywall screws', quantity: sheets * 30, unit: 'each', category: 'other' },
+        p.insulation === 'Yes' &&
+          { name: 'Acoustic insulation roll', quantity: round(p.length * p.height), unit: 'm²', category: 'other' },
+      ].filter(Boolean);
+    },
+  },
+  {
+    id: 'block-wall',
+    label: 'Block wall',
+    fields: [
+      { id: 'length', label: 'Length', unit: 'm', default: 6 },
+      { id: 'height', label: 'Height', unit: 'm', default: 1.2 },
+      { id: 'thickness', label: 'Block thickness', unit: 'mm', default: 100 },
+    ],
+    describe: (p) =>
+      `A ${p.length}m long, ${p.height}m high wall in ${p.thickness}mm concrete blocks laid in 1:4 mortar.`,
+    calculate: (p) => {
+      const area = p.length * p.height;
+      const mortar = area * MORTAR_M3_PER_M2 * (p.thickness / 100);
+      return [
+        { name: `Concrete block 7N ${p.thickness}mm`, quantity: Math.ceil(area * BLOCKS_PER_M2), unit: 'each', category: 'masonry' },
+        { name: 'Building sand', quantity: round(mortar * DENSITY.sand), unit: 'tonnes', category: 'aggregates' },
+        { name: 'Cement', quantity: Math.ceil(mortar * CEMENT_PER_M3.masonryMortar), unit: 'kg', category: 'cement' },
+      ];
+    },
+  },
+  {
+    id: 'concrete-slab',
+    label: 'Concrete slab',
+    fields: [
+      { id: 'length', label: 'Length', unit: 'm', default: 3 },
+      { id: 'width', label: 'Width', unit: 'm', default: 3 },
+      { id: 'depth', label: 'Slab depth', unit: 'mm', default: 100 },
+      { id: 'subBaseDepth', label: 'Sub-base depth', unit: 'mm', default: 100 },
+      { id: 'mesh', label: 'Reinforcement mesh', options: yesNo, default: 'Yes' },
+    ],
+    describe: (p) =>
+      `A ${p.length}m x ${p.width}m concrete slab, ${p.depth}mm deep, site-mixed, on a DPM over a ` +
+      `${p.subBaseDepth}mm MOT Type 1 sub-base${p.mesh === 'Yes' ? ', reinforced with A142 mesh' : ''}.`,
+    calculate: (p) => {
+      const area = p.length * p.width;
+      const concrete = area * p.depth / 1000;
+      return [
+        { name: 'Ballast 20mm all-in', quantity: round(concrete * DENSITY.ballast), unit: 'tonnes', category: 'aggregates' },
+        { name: 'Cement', quantity: Math.ceil(concrete * CEMENT_PER_M3.concrete), unit: 'kg', category: 'cement' },
+        { name: 'MOT Type 1 sub-base', quantity: round(area * p.subBaseDepth / 1000 * DENSITY.subBase), unit: 'tonnes', category: 'aggregates' },
+        { name: 'Damp proof membrane', quantity: round(area), unit: 'm²', category: 'other' },
+        p.mesh === 'Yes' &&
+          { name: 'A142 reinforcement mesh sheet', quantity: Math.ceil(area / MESH_SHEET_M2), unit: 'each', category: 'other' },
+        { name: 'Formwork timber 25x150mm', quantity: round(2 * (p.length + p.width)), unit: 'm', category: 'timber' },
+      ].filter(Boolean);
+    },
+  },
+  {
+    id: 'decking',
+    label: 'Decking',
+    fields: [
+      { id: 'length', label: 'Length', unit: 'm', default: 4 },
+      { id: 'width', label: 'Width', unit: 'm', default: 3 },
+      { id: 'boardWidth', label: 'Board width', unit: 'mm', default: 144 },
+      { id: 'joistSpacing', label: 'Joist centres', unit: 'mm', default: 400 },
+    ],
+    describe: (p) =>
+      `A ${p.length}m x ${p.width}m ground-level deck in ${p.boardWidth}mm boards on C24 joists ` +
+      `at ${p.joistSpacing}mm centres, supported on posts set in postcrete.`,
+    calculate: (p) => {
+      const rows = Math.ceil(p.width * 1000 / (p.boardWidth + BOARD_GAP_MM));
+      const joists = Math.ceil(p.length * 1000 / p.joistSpacing) + 1;
+      const posts = (Math.ceil(p.length / DECK_POST_SPACING) + 1) * (Math.ceil(p.width / DECK_POST_SPACING) + 1);
+      return [
+        { name: `Decking board 32x${p.boardWidth}mm`, quantity: round(rows * p.length), unit: 'm', category: 'timber' },
+        // Joists across the width plus a rim joist down each long side
+        { name: 'C24 joist 47x150mm', quantity: round(joists * p.width + 2 * p.length), unit: 'm', category: 'timber' },
+        { name: 'Timber post 100x100mm', quantity: posts, unit: 'each', category: 'timber' },
+        // Deck posts are shorter than fence posts, so one bag each
+        { name: 'Postcrete', quantity: posts * 20, unit: 'kg', category: 'cement' },
+        { name: 'Decking screws', quantity: rows * joists * 2, unit: 'each', category: 'other' },
+        { name: 'Weed control membrane', quantity: round(p.length * p.width), unit: 'm²', category: 'other' },
+      ];
+    },
+  },
+];
+
+export function getJobType(id) {
+  return JOB_TYPES.find(t => t.id === id) || null;
+}
+
+/**
+ * Default field values for a job type, for a fresh form.
+ */
+export function getDefaultParameters(typeId) {
+  const type = getJobType(typeId);
+  return type ? Object.fromEntries(type.fields.map(f => [f.id, f.default])) : {};
+}
+
+/**
+ * Checks the values against the job type's fields, filling in defaults.
+ * Returns { values, errors } with errors in the same { path, message } shape
+ * as plan validation.
+ */
+export function validateJobParameters(typeId, values = {}) {
+  const type = getJobType(typeId);
+  if (!type) return { values: {}, errors: [{ path: 'jobParameters.type', message: `Unknown job type "${typeId}"` }] };
+
+  const errors = [];
+  const resolved = {};
+  type.fields.forEach(field => {
+    const raw = values[field.id] ?? field.default;
+    const path = `jobParameters.values.${field.id}`;
+    if (field.options) {
+      if (field.options.includes(String(raw))) resolved[field.id] = String(raw);
+      else errors.push({ path, message: `${field.label} must be one of ${field.options.join(', ')}` });
+      return;
+    }
+    const number = Number(raw);
+    if (Number.isFinite(number) && number > 0) resolved[field.id] = number;
+    else errors.push({ path, message: `${field.label} must be a positive number` });
+  });
+
+  return { values: resolved, errors };
+}
+
+/**
+ * Runs a job type's calculator. Returns { values, materials, description, errors };
+ * the rest are only set when errors is empty.
+ */
+export function calculateJob(typeId, values) {
+  const { values: resolved, errors } = validateJobParameters(typeId, values);
+  if (errors.length) return { values: resolved, materials: [], description: '', errors };
+
+  const type = getJobType(typeId);
+  return {
+    values: resolved,
+    materials: type.calculate(resolved),
+    description: type.describe(resolved),
+    errors: [],
+  };
+}
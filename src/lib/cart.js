@@ -0,0 +1,66 @@
+// src/lib/cart.js
+// The Quote Cart payload: one line per catalogue product with the number of
+// packs to order, in the { id, quantity } shape WooCommerce's cart takes.
+// Materials with no real product behind them can't be ordered and are
+// reported back instead of being dropped.
+
+import { getMaterialLine } from './materials.js';
+
+const isProduct = (option) => Boolean(option?.id) && !String(option.id).startsWith('manual-');
+
+/**
+ * The materials to order: those added with "Add to Cart" (the quote's
+ * `selectedMaterials`), or every material if none have been added yet.
+ * Returns { lines: [{ material, line }], skipped: [{ materialId, name, reason }] },
+ * where `line` is getMaterialLine's and every line has a product and packs.
+ */
+export function getOrderLines(quote) {
+  const added = new Set(Object.keys(quote.selectedMaterials || {}));
+  const materials = (quote.materials || []).filter(m => added.size === 0 || added.has(String(m.id)));
+
+  const lines = [];
+  const skipped = [];
+  materials.forEach(material => {
+    const line = getMaterialLine(material);
+    if (!isProduct(line.option)) {
+      skipped.push({ materialId: material.id, name: material.name, reason: 'No product selected' });
+    } else if (!(line.packs > 0)) {
+      skipped.push({ materialId: material.id, name: material.name, reason: 'Quantity is zero' });
+    } else {
+      lines.push({ material, line });
+    }
+  });
+  return { lines, skipped };
+}
+
+/**
+ * Builds the cart for a quote from getOrderLines.
+ * Returns { reference, items: [{ id, quantity, sku, name, materialIds }], skipped }.
+ */
+export function buildCartPayload(quote) {
+  const { lines, skipped } = getOrderLines(quote);
+  const items = new Map();
+  lines.forEach(({ material, line }) => {
+    // Two materials priced with the same product become one cart line
+    const key = String(line.option.id);
+    const existing = items.get(key);
+    if (existing) {
+      existing.quantity += line.packs;
+      existing.materialIds.push(material.id);
+    } else {
+      items.set(key, {
+        id: line.option.id,
+        quantity: line.packs,
+        sku: line.option.sku || null,
+        name: line.option.name,
+        materialIds: [material.id],
+      });
+    }
+  });
+
+  return {
+    reference: quote.customerQuote?.quoteNumber || null,
+    items: [...items.values()],
+    skipped,
+  };
+}
@@ -0,0 +1,29 @@
+// src/lib/cartApi.js
+// Client for the Quote Cart handoff (/api/cart).
+
+import { buildCartPayload } from './cart.js';
+import { apiFetch } from './apiKey.js';
+
+/**
+ * Sends a quote's materials to the cart. Resolves to
+ * { cartId, cartUrl, added, failed }, where `failed` also lists the materials
+ * that never left the browser because they have no product or quantity.
+ */
+export async function sendQuoteToCart(quote) {
+  const { reference, items, skipped } = buildCartPayload(quote);
+  const notSent = skipped.map(s => ({ name: s.name, materialIds: [s.materialId], reason: s.reason }));
+  if (!items.length) return { cartId: null, cartUrl: null, added: [], failed: notSent };
+
+  const response = await apiFetch('/api/cart', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reference, items }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return { ...body, failed: [...notSent, ...body.failed] };
+}
@@ -0,0 +1,86 @@
+// src/lib/diff.js
+// Compares two versions of a quote: materials added, removed or changed, and
+// how the totals moved.
+import { getMaterialLine } from './materials.js';
+import { getLabourLineTotal, getQuoteLabour } from './labour.js';
+import { calculateQuoteTotals } from './totals.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function describeMaterial(material) {
+  const line = getMaterialLine(material);
+  return {
+    name: material.name,
+    product: line.option?.name || '',
+    quantity: Number(material.quantity) || 0,
+    unit: material.unit || '',
+    packs: line.packs,
+    unitPrice: line.unitPrice,
+    lineTotal: round2(line.lineTotal),
+  };
+}
+
+function describeLabour(item) {
+  return {
+    name: [item.trade, item.phase].filter(Boolean).join(' – '),
+    quantity: Number(item.quantity) || 0,
+    unit: item.unit,
+    unitPrice: Number(item.rate) || 0,
+    lineTotal: round2(getLabourLineTotal(item)),
+  };
+}
+
+// Rows are matched by id, falling back to the name for rows that were re-added
+function diffRows(beforeRows, afterRows, describe, keyOf) {
+  const remaining = new Map(beforeRows.map(row => [row.id, row]));
+  const byName = new Map(beforeRows.map(row => [keyOf(row), row]));
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  afterRows.forEach(row => {
+    const previous = remaining.get(row.id) || byName.get(keyOf(row));
+    if (!previous || !remaining.has(previous.id)) {
+      added.push({ id: row.id, after: describe(row) });
+      return;
+    }
+    remaining.delete(previous.id);
+
+    const before = describe(previous);
+    const after = describe(row);
+    const fields = ['name', 'product', 'quantity', 'unit', 'packs', 'unitPrice', 'lineTotal']
+      .filter(field => field in after && before[field] !== after[field]);
+
+    (fields.length ? changed : unchanged).push({ id: row.id, before, after, fields });
+  });
+
+  const removed = [...remaining.values()].map(row => ({ id: row.id, before: describe(row) }));
+  return { added, removed, changed, unchanged };
+}
+
+export function diffQuotes(before, after) {
+  const beforeTotals = calculateQuoteTotals(before);
+  const afterTotals = calculateQuoteTotals(after);
+  const totalKeys = ['materials', 'labour', 'net', 'vat', 'total'];
+
+  return {
+    materials: diffRows(
+      before?.materials || [],
+      after?.materials || [],
+      describeMaterial,
+      m => String(m.name || '').trim().toLowerCase()
+    ),
+    labour: diffRows(
+      getQuoteLabour(before),
+      getQuoteLabour(after),
+      describeLabour,
+      l => `${l.trade}|${l.phase}`.toLowerCase()
+    ),
+    totals: Object.fromEntries(
+      totalKeys.map(key => [
+        key,
+        { before: beforeTotals[key], after: afterTotals[key], change: round2(afterTotals[key] - beforeTotals[key]) },
+      ])
+    ),
+  };
+}
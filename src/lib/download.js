@@ -0,0 +1,14 @@
+// src/lib/download.js
+// Saves a file the browser already holds through a temporary link, as fetch
+// responses and generated text can't trigger a download themselves.
+
+export function saveBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,160 @@
+// src/lib/generateApi.js
+// Client for /api/generate-quote, /api/clarify, /api/generate-alternatives
+// and /api/refine-quote.
+// Quote generation is streamed as NDJSON so the UI can show progress and
+// materials while the quote is still being built.
+
+import { apiFetch } from './apiKey.js';
+
+const toError = (body, status) => {
+  const error = new Error(body.error || `API request failed with status ${status}`);
+  error.status = status;
+  error.details = body.errors;
+  return error;
+};
+
+/**
+ * Generates a quote, calling `onEvent` for each progress event. Resolves to
+ * the finished quote; rejects with an error carrying `status` and `details`.
+ */
+export async function generateQuote(body, { onEvent = () => {} } = {}) {
+  const response = await apiFetch('/api/generate-quote', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/x-ndjson' },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    throw toError(await response.json().catch(() => ({})), response.status);
+  }
+
+  // Servers that don't stream (or a proxy that buffers) still send plain JSON
+  if (!response.headers.get('Content-Type')?.includes('ndjson') || !response.body) {
+    return response.json();
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    if (event.type === 'done') result = event.quote;
+    else if (event.type === 'error') throw toError(event, event.status);
+    else onEvent(event);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+    if (done) break;
+  }
+  handleLine(buffer);
+
+  if (!result) throw new Error('The quote stream ended before the quote was finished');
+  return result;
+}
+
+/**
+ * Asks for clarifying questions about a job description.
+ * Resolves to { questions, warnings }.
+ */
+export async function fetchClarifyingQuestions(jobDescription) {
+  const response = await apiFetch('/api/clarify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jobDescription }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw toError(body, response.status);
+  return body;
+}
+
+/**
+ * Pairs each answered question with its answer, in the shape the API and the
+ * saved quote use: [{ id, question, answer }].
+ */
+export function collectAnswers(questions = [], answers = {}) {
+  return questions
+    .map(q => ({ q, value: String(answers[q.id] ?? '').trim() }))
+    .filter(({ value }) => value)
+    .map(({ q, value }) => ({
+      id: q.id,
+      question: q.question,
+      answer: q.unit ? `${value} ${q.unit}` : value,
+    }));
+}
+
+/**
+ * Reads site photos or sketches into a job description for the user to
+ * review. `notes` is any text already typed. Resolves to the description.
+ */
+export async function describeImages(images, notes = '') {
+  const response = await apiFetch('/api/generate-quote', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      describeOnly: true,
+      jobDescription: notes,
+      images: images.map(({ mimeType, data }) => ({ mimeType, data })),
+    }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw toError(body, response.status);
+  return body.description;
+}
+
+/**
+ * Generates good and best options for a section's materials.
+ * Resolves to { alternatives, warnings }.
+ */
+export async function generateAlternatives({ jobDescription, materials, sectionId, wasteAllowances }) {
+  const response = await apiFetch('/api/generate-alternatives', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jobDescription,
+      sectionId,
+      wasteAllowances,
+      // The model only needs the specification, not the product options
+      materials: materials.map(({ name, quantity, unit, category }) => ({ name, quantity, unit, category })),
+    }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw toError(body, response.status);
+  return body;
+}
+
+/**
+ * Asks for the changes to one section needed for a follow-up instruction.
+ * Resolves to { patch, warnings } for applyQuotePatch (see patch.js).
+ */
+export async function refineQuote(quote, sectionId, instruction) {
+  const response = await apiFetch('/api/refine-quote', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      sectionId,
+      instruction,
+      // Product options aren't needed to plan the change and make up most of the quote
+      quote: {
+        sections: quote.sections,
+        method: quote.method,
+        wasteAllowances: quote.wasteAllowances,
+        customerQuote: { projectDescription: quote.customerQuote?.projectDescription },
+        materials: (quote.materials || []).map(({ id, sectionId: section, name, quantity, unit, category }) => (
+          { id, sectionId: section, name, quantity, unit, category }
+        )),
+        labour: quote.labour,
+      },
+    }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw toError(body, response.status);
+  return body;
+}
@@ -0,0 +1,80 @@
+// src/lib/images.js
+// Prepares site photos and sketches for upload. Phone photos are several MB,
+// so each is downscaled and re-encoded as JPEG before being sent as base64.
+// Company logos are downscaled too, as they're saved with every quote.
+
+// How many images a job can carry; the server checks the same limit
+export const MAX_IMAGES = 4;
+const MAX_DIMENSION = 1600;
+const JPEG_QUALITY = 0.85;
+
+/**
+ * Downscales an image file. Resolves to { id, name, mimeType, data } with
+ * base64 data, the shape /api/generate-quote accepts.
+ */
+export async function prepareImage(file, { maxDimension = MAX_DIMENSION } = {}) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+
+  const context = canvas.getContext('2d');
+  // Sketches often have transparent backgrounds, which JPEG would turn black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const dataUrl = canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+  return {
+    id: `img-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: file.name,
+    mimeType: 'image/jpeg',
+    data: dataUrl.slice(dataUrl.indexOf(',') + 1),
+  };
+}
+
+export const imageSrc = (image) => `data:${image.mimeType};base64,${image.data}`;
+
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+// PDFs draw the logo at most 150 x 60pt, so this is plenty
+const LOGO_MAX_DIMENSION = 600;
+export const MAX_LOGO_BYTES = 200 * 1024;
+
+// Length of the file a data URL's base64 holds
+const dataUrlBytes = (dataUrl) => Math.ceil(((dataUrl.length - dataUrl.indexOf(',') - 1) * 3) / 4);
+
+/**
+ * Downscales a logo file to a PNG (or, if that's still too big, JPEG) data
+ * URL of at most MAX_LOGO_BYTES. Rejects other file types and logos that
+ * can't be made small enough.
+ */
+export async function prepareLogo(file) {
+  if (!LOGO_TYPES.includes(file.type)) {
+    throw new Error('The logo must be a PNG or JPEG image.');
+  }
+
+  const bitmap = await createImageBitmap(file).catch(() => {
+    throw new Error('The logo could not be read.');
+  });
+  const scale = Math.min(1, LOGO_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  // PNG keeps a transparent background; JPEG is the fallback for photos
+  const png = canvas.toDataURL('image/png');
+  if (dataUrlBytes(png) <= MAX_LOGO_BYTES) return png;
+
+  context.globalCompositeOperation = 'destination-over';
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  const jpeg = canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+  if (dataUrlBytes(jpeg) <= MAX_LOGO_BYTES) return jpeg;
+
+  throw new Error(`The logo is too large. Please use an image under ${MAX_LOGO_BYTES / 1024} KB.`);
+}
@@ -0,0 +1,58 @@
+// src/lib/invoices.js
+// Invoices raised against a quote. Deposits and stage payments are a
+// percentage of the quote, with VAT worked out per treatment as on the quote;
+// the final invoice is the whole quote less everything invoiced before it.
+// Amounts are { net, vatLines, vat, reverseChargeVat, total }, in the shape
+// calculateQuoteTotals (totals.js) uses.
+
+export const INVOICE_TYPES = [
+  { id: 'deposit', label: 'Deposit' },
+  { id: 'interim', label: 'Stage payment' },
+  { id: 'final', label: 'Final balance' },
+];
+
+export const DEFAULT_DEPOSIT_PERCENT = 25;
+export const DEFAULT_DUE_DAYS = 14;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function withTotals(vatLines) {
+  const net = round2(vatLines.reduce((sum, l) => sum + l.net, 0));
+  const vat = round2(vatLines.filter(l => !l.reverseCharge).reduce((sum, l) => sum + l.vat, 0));
+  const reverseChargeVat = round2(vatLines.filter(l => l.reverseCharge).reduce((sum, l) => sum + l.vat, 0));
+  return { net, vatLines, vat, reverseChargeVat, total: round2(net + vat) };
+}
+
+/**
+ * A percentage of the quote's totals, e.g. a 25% deposit.
+ */
+export function calculatePercentAmounts(totals, percent) {
+  const fraction = percent / 100;
+  return withTotals(totals.vatLines.map(line => {
+    const net = round2(line.net * fraction);
+    return { ...line, net, vat: round2((net * line.rate) / 100) };
+  }));
+}
+
+/**
+ * The quote's totals less every earlier invoice, treatment by treatment.
+ */
+export function calculateBalanceAmounts(totals, previous = []) {
+  const invoiced = (treatment, field) => previous.reduce((sum, inv) => (
+    sum + (inv.amounts.vatLines.find(l => l.treatment === treatment)?.[field] || 0)
+  ), 0);
+  return withTotals(totals.vatLines.map(line => ({
+    ...line,
+    net: round2(line.net - invoiced(line.treatment, 'net')),
+    vat: round2(line.vat - invoiced(line.treatment, 'vat')),
+  })));
+}
+
+/**
+ * How much of the quote earlier deposit and stage invoices have covered, in percent.
+ */
+export function getInvoicedPercent(invoices = []) {
+  return invoices.filter(inv => inv.type !== 'final').reduce((sum, inv) => sum + (Number(inv.percent) || 0), 0);
+}
+
+export const getInvoiceTypeLabel = (type) => INVOICE_TYPES.find(t => t.id === type)?.label || type;
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateBalanceAmounts, calculatePercentAmounts, getInvoicedPercent } from './invoices.js';
+import { calculateQuoteTotals } from './totals.js';
+
+// £1,000 at the standard rate, £200 zero-rated and £500 under the reverse charge
+const totals = calculateQuoteTotals({
+  customerQuote: { vatRate: 20 },
+  labour: [
+    { trade: 'Bricklayer', unit: 'day', quantity: 4, rate: 250 },
+    { trade: 'Labourer', unit: 'day', quantity: 1, rate: 200, vatTreatment: 'zero' },
+    { trade: 'Electrician', unit: 'day', quantity: 1, rate: 500, vatTreatment: 'reverse-charge' },
+  ],
+});
+
+test('calculatePercentAmounts takes a share of each VAT line', () => {
+  const deposit = calculatePercentAmounts(totals, 25);
+  assert.deepEqual(
+    deposit.vatLines.map(({ treatment, net, vat }) => ({ treatment, net, vat })),
+    [
+      { treatment: 'standard', net: 250, vat: 50 },
+      { treatment: 'zero', net: 50, vat: 0 },
+      { treatment: 'reverse-charge', net: 125, vat: 25 },
+    ]
+  );
+  assert.equal(deposit.net, 425);
+  assert.equal(deposit.vat, 50);
+  assert.equal(deposit.reverseChargeVat, 25);
+  assert.equal(deposit.total, 475);
+});
+
+test('calculateBalanceAmounts deducts every earlier invoice', () => {
+  const deposit = { type: 'deposit', percent: 25, amounts: calculatePercentAmounts(totals, 25) };
+  const stage = { type: 'interim', percent: 40, amounts: calculatePercentAmounts(totals, 40) };
+  const balance = calculateBalanceAmounts(totals, [deposit, stage]);
+
+  assert.equal(balance.net, 595);
+  assert.equal(balance.vat, 70);
+  assert.equal(balance.reverseChargeVat, 35);
+  // The invoices add up to the quote exactly
+  assert.equal(
+    Math.round((deposit.amounts.total + stage.amounts.total + balance.total) * 100) / 100,
+    totals.total
+  );
+});
+
+test('calculateBalanceAmounts with no earlier invoices is the whole quote', () => {
+  const balance = calculateBalanceAmounts(totals);
+  assert.equal(balance.total, totals.total);
+  assert.equal(balance.reverseChargeVat, totals.reverseChargeVat);
+});
+
+test('getInvoicedPercent adds up deposits and stage payments only', () => {
+  assert.equal(getInvoicedPercent([
+    { type: 'deposit', percent: 25 },
+    { type: 'interim', percent: '30' },
+    { type: 'final', percent: 45 },
+  ]), 55);
+  assert.equal(getInvoicedPercent(), 0);
+});
@@ -0,0 +1,97 @@
+// src/lib/labour.js
+// Labour line items: one row per trade and phase, charged by the hour or the day.
+
+export const HOURS_PER_DAY = 8;
+
+export const LABOUR_UNITS = [
+  { id: 'hour', label: 'Hours' },
+  { id: 'day', label: 'Days' },
+];
+
+// Default rates (£) per trade. Users can override these in the company details.
+export const DEFAULT_LABOUR_RATES = {
+  Groundworker: { hour: 28, day: 220 },
+  Bricklayer: { hour: 32, day: 250 },
+  Labourer: { hour: 20, day: 150 },
+  Carpenter: { hour: 30, day: 240 },
+  Landscaper: { hour: 27, day: 210 },
+  Plasterer: { hour: 30, day: 230 },
+  Tiler: { hour: 30, day: 230 },
+  Roofer: { hour: 30, day: 240 },
+  Electrician: { hour: 40, day: 300 },
+  Plumber: { hour: 40, day: 300 },
+  General: { hour: 25, day: 200 },
+};
+
+export const LABOUR_TRADES = Object.keys(DEFAULT_LABOUR_RATES);
+
+export function createLabourId() {
+  return `lab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * Looks up the default rate for a trade and unit, falling back to the
+ * "General" trade (and to converting between hourly and daily) when needed.
+ */
+export function getDefaultRate(trade, unit = 'hour', rates = DEFAULT_LABOUR_RATES) {
+  const key = Object.keys(rates).find(t => t.toLowerCase() === String(trade || '').trim().toLowerCase());
+  const tradeRates = rates[key] || rates.General || DEFAULT_LABOUR_RATES.General;
+
+  if (tradeRates[unit] !== undefined) return Number(tradeRates[unit]) || 0;
+  if (unit === 'day' && tradeRates.hour !== undefined) return tradeRates.hour * HOURS_PER_DAY;
+  if (unit === 'hour' && tradeRates.day !== undefined) return tradeRates.day / HOURS_PER_DAY;
+  return 0;
+}
+
+/**
+ * Cleans up labour items from the AI plan. Rates are never taken from the model;
+ * they come from the user's defaults. Older plans only gave a single
+ * `labourHours` figure, which becomes one general labour line.
+ */
+export function normaliseLabourItems(labour, labourHours = 0) {
+  const items = Array.isArray(labour) ? labour : [];
+
+  const normalised = items
+    .map((item, i) => ({
+      id: item.id || `lab-${i + 1}`,
+      trade: String(item.trade || 'General').trim(),
+      phase: String(item.phase || '').trim(),
+      unit: item.unit === 'day' || item.unit === 'days' ? 'day' : 'hour',
+      quantity: Math.max(0, Number(item.quantity) || 0),
+    }))
+    .filter(item => item.quantity > 0);
+
+  if (normalised.length === 0 && Number(labourHours) > 0) {
+    normalised.push({ id: 'lab-1', trade: 'General', phase: 'All works', unit: 'hour', quantity: Number(labourHours) });
+  }
+
+  return normalised;
+}
+
+/**
+ * Fills in any missing rates from the user's defaults.
+ */
+export function applyDefaultRates(items = [], rates = DEFAULT_LABOUR_RATES) {
+  return items.map(item =>
+    Number.isFinite(item.rate) ? item : { ...item, rate: getDefaultRate(item.trade, item.unit, rates) }
+  );
+}
+
+export function getLabourLineTotal(item) {
+  return (Number(item.quantity) || 0) * (Number(item.rate) || 0);
+}
+
+export function getLabourTotal(items = []) {
+  return items.reduce((sum, item) => sum + getLabourLineTotal(item), 0);
+}
+
+/**
+ * The labour items for a quote, including quotes saved before labour was
+ * broken down by trade (a single hours figure at the old hourly rate).
+ */
+export function getQuoteLabour(quote) {
+  if (Array.isArray(quote?.labour)) return quote.labour;
+  const cq = quote?.customerQuote || {};
+  const rate = cq.hourlyRate || cq.labourRate || DEFAULT_LABOUR_RATES.General.hour;
+  return normaliseLabourItems([], cq.labourHours).map(item => ({ ...item, rate }));
+}
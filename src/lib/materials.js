@@ -0,0 +1,81 @@
+// src/lib/materials.js
+// Shared pricing helpers for material rows, used by the table, totals and cart.
+import { convertToPacks } from './packs.js';
+
+const roundTo = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+export function createMaterialId() {
+  return `mat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * The placeholder option at the top of every product list, which lets the user
+ * pick from their own catalogue instead of the suggested matches.
+ */
+export function createManualOption(materialName) {
+  return {
+    id: `manual-${materialName.replace(/\s+/g, '-')}`,
+    name: `Manually Select a "${materialName}"...`,
+    image: null,
+    description: 'Choose one of the suggested products or search your catalogue.',
+    link: null,
+    tradePrice: null,
+    rrp: null,
+    vatStatus: null,
+    packSize: null,
+  };
+}
+
+export function getSelectedOption(material) {
+  const options = material?.options || [];
+  return (
+    options.find(opt => String(opt.id) === String(material.selectedProductId)) ||
+    options[0] ||
+    null
+  );
+}
+
+/**
+ * Resolves a material row into what is actually ordered: the bare quantity plus
+ * its waste allowance, converted into packs of the selected product, with the
+ * overage and the line total at the pack price. `wasteCost` is the part of the
+ * line total that only exists because of the waste allowance.
+ */
+export function getMaterialLine(material) {
+  const option = getSelectedOption(material);
+  const baseQuantity = Math.max(0, Number(material.quantity) || 0);
+  const wastePercent = Math.max(0, Number(material.wastePercent) || 0);
+  const requiredQuantity = roundTo(baseQuantity * (1 + wastePercent / 100));
+
+  const conversion = convertToPacks(requiredQuantity, material.unit, option?.packSize);
+  const bare = convertToPacks(baseQuantity, material.unit, option?.packSize);
+  const unitPrice = parseFloat(material.unitPrice || 0);
+
+  return {
+    ...conversion,
+    option,
+    baseQuantity,
+    wastePercent,
+    wasteQuantity: roundTo(requiredQuantity - baseQuantity),
+    requiredQuantity,
+    unitPrice,
+    lineTotal: unitPrice * conversion.packs,
+    wasteCost: unitPrice * Math.max(0, conversion.packs - bare.packs),
+  };
+}
+
+export function getMaterialsSummary(materials = []) {
+  return materials.reduce(
+    (acc, item) => {
+      const line = getMaterialLine(item);
+      acc.total += line.lineTotal;
+      acc.wasteTotal += line.wasteCost;
+      return acc;
+    },
+    { total: 0, wasteTotal: 0 }
+  );
+}
+
+export function getMaterialsTotal(materials = []) {
+  return getMaterialsSummary(materials).total;
+}
@@ -0,0 +1,129 @@
+// src/lib/packs.js
+// Converts the free-form quantities returned by the AI plan into the number of
+// catalogue packs to order (e.g. 3.2 tonnes of sharp sand -> 4 x 850kg bulk bags).
+
+// Each alias maps onto a canonical unit, the base unit it converts through and
+// the factor to get there. Units with the same base can be converted.
+const UNIT_ALIASES = [
+  { unit: 'm²', base: 'm²', factor: 1, aliases: ['m²', 'm2', 'sqm', 'sq m', 'sq.m', 'square metre', 'square metres', 'square meter', 'square meters'] },
+  { unit: 'm³', base: 'm³', factor: 1, aliases: ['m³', 'm3', 'cu m', 'cubic metre', 'cubic metres', 'cubic meter', 'cubic meters'] },
+  { unit: 'm', base: 'm', factor: 1, aliases: ['m', 'lm', 'metre', 'metres', 'meter', 'meters', 'linear metre', 'linear metres', 'lin m'] },
+  { unit: 'mm', base: 'm', factor: 0.001, aliases: ['mm', 'millimetre', 'millimetres'] },
+  { unit: 'kg', base: 'kg', factor: 1, aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+  { unit: 'tonne', base: 'kg', factor: 1000, aliases: ['t', 'tonne', 'tonnes', 'ton', 'tons'] },
+  { unit: 'litre', base: 'litre', factor: 1, aliases: ['l', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters'] },
+  { unit: 'each', base: 'each', factor: 1, aliases: ['each', 'ea', 'no', 'nr', 'no.', 'pc', 'pcs', 'piece', 'pieces', 'unit', 'units', 'item', 'items', 'sheet', 'sheets', 'length', 'lengths', 'board', 'boards', 'block', 'blocks', 'brick', 'bricks', 'post', 'posts', 'panel', 'panels', 'slab', 'slabs', 'tile', 'tiles'] },
+  { unit: 'pack', base: 'pack', factor: 1, aliases: ['pack', 'packs', 'bag', 'bags', 'bulk bag', 'bulk bags', 'pallet', 'pallets', 'roll', 'rolls', 'box', 'boxes', 'tub', 'tubs', 'tin', 'tins', 'bucket', 'buckets', 'tube', 'tubes', 'drum', 'drums', 'bundle', 'bundles'] },
+];
+
+const ALIAS_LOOKUP = new Map(
+  UNIT_ALIASES.flatMap(def => def.aliases.map(alias => [alias, def]))
+);
+
+/**
+ * Normalises a unit string into { unit, base, factor }, or null if unknown.
+ */
+export function normaliseUnit(unit) {
+  if (!unit) return null;
+  const key = String(unit).trim().toLowerCase().replace(/\s+/g, ' ');
+  const def = ALIAS_LOOKUP.get(key) || ALIAS_LOOKUP.get(key.replace(/\.$/, ''));
+  if (!def) return null;
+  return { unit: def.unit, base: def.base, factor: def.factor };
+}
+
+const SIZE_PATTERN = String.raw`(\d+(?:\.\d+)?)\s*(m²|m³|m2|m3|sq\s?m|cu\s?m|mm|m|kg|t|tonnes?|l|ltrs?|litres?)`;
+
+/**
+ * Parses a catalogue pack size such as "25kg", "0.8m³", "20 m²" or "Pack of 10"
+ * into { amount, unit, base, factor }. Plain numbers are treated as a count.
+ * Dimensions such as "22mm" or "150 x 22" are skipped, so "22mm x 2.4m" is a
+ * 2.4m length and "22mm" alone gives no pack size. Of several lengths the last
+ * is the pack's ("1m x 50m" is a 50m roll), and a multipack such as
+ * "10 x 25kg" gives the total (250kg).
+ */
+export function parsePackSize(packSize) {
+  if (packSize === null || packSize === undefined || packSize === '') return null;
+
+  if (typeof packSize === 'number') {
+    return packSize > 0 ? { amount: packSize, unit: 'each', base: 'each', factor: 1 } : null;
+  }
+
+  const text = String(packSize).trim().toLowerCase();
+
+  const packOf = text.match(/pack of\s*(\d+(?:\.\d+)?)/);
+  if (packOf) return { amount: parseFloat(packOf[1]), unit: 'each', base: 'each', factor: 1 };
+
+  const multipack = parseMultipack(text);
+  if (multipack) return multipack;
+
+  const sizes = [...text.matchAll(new RegExp(String.raw`(?<![\d.])${SIZE_PATTERN}?(?![a-z\d])`, 'g'))]
+    .filter(match => !isDimension(text, match))
+    .map(match => ({ amount: parseFloat(match[1]), ...normaliseUnit(match[2] || 'each') }))
+    .filter(size => size.amount > 0 && size.unit);
+  if (!sizes.length) return null;
+
+  // A width or thickness in metres comes before the length
+  const [first] = sizes;
+  return first.base === 'm' ? sizes.filter(size => size.base === 'm').pop() : first;
+}
+
+// "10 x 25kg": a whole number of packs, each of a measured size. A count that
+// follows another "x" is part of a dimension ("47 x 100 x 4.8m") instead.
+function parseMultipack(text) {
+  const match = new RegExp(String.raw`(?<![\d.])(\d+)\s*[x×]\s*${SIZE_PATTERN}(?![a-z\d])`).exec(text);
+  if (!match || match[3] === 'mm' || /[x×]\s*$/.test(text.slice(0, match.index))) return null;
+
+  const count = parseInt(match[1], 10);
+  const size = parseFloat(match[2]);
+  const unit = normaliseUnit(match[3]);
+  return count > 0 && size > 0 && unit ? { amount: roundTo(count * size), ...unit } : null;
+}
+
+// Millimetres and the numbers in "150 x 22" describe the product (a board's
+// width or thickness), not how much of it a pack holds
+function isDimension(text, match) {
+  if (match[2] === 'mm') return true;
+  if (match[2]) return false;
+  const before = text.slice(0, match.index).trimEnd();
+  const after = text.slice(match.index + match[0].length).trimStart();
+  return /[x×]$/.test(before) || /^[x×]/.test(after);
+}
+
+const roundTo = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Works out how many packs to order to cover `quantity` of `unit`.
+ * Always rounds up; `overage` is how much more than required the packs give,
+ * expressed in the material's own unit. `converted` is false when the units
+ * couldn't be reconciled and the raw quantity was rounded up instead.
+ */
+export function convertToPacks(quantity, unit, packSize) {
+  const qty = Math.max(0, Number(quantity) || 0);
+  const from = normaliseUnit(unit);
+  const pack = parsePackSize(packSize);
+
+  const fallback = (converted) => {
+    const packs = Math.ceil(qty - 1e-9);
+    return { packs, perPack: pack, overage: roundTo(packs - qty), converted };
+  };
+
+  // Already a count of packs (bags, pallets, rolls...) or sold individually
+  if (from?.base === 'pack') return fallback(true);
+  if (!pack) return fallback(from?.base === 'each' || !from);
+  if (!from || from.base !== pack.base) return fallback(false);
+
+  const required = qty * from.factor;
+  const perPack = pack.amount * pack.factor;
+  const packs = Math.ceil(required / perPack - 1e-9);
+  const overage = (packs * perPack - required) / from.factor;
+
+  return { packs, perPack: pack, overage: roundTo(overage), converted: true };
+}
+
+/**
+ * Human-readable pack size, e.g. "25 kg" or "0.8 m³".
+ */
+export function formatPackSize(pack) {
+  if (!pack) return '';
+  return pack.unit === 'each' ? `${pack.amount}` : `${pack.amount} ${pack.unit}`;
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertToPacks, formatPackSize, normaliseUnit, parsePackSize } from './packs.js';
+
+const size = (packSize) => {
+  const pack = parsePackSize(packSize);
+  return pack && formatPackSize(pack);
+};
+
+test('normaliseUnit maps aliases onto a canonical unit', () => {
+  assert.deepEqual(normaliseUnit('Tonnes'), { unit: 'tonne', base: 'kg', factor: 1000 });
+  assert.equal(normaliseUnit('sq m').unit, 'm²');
+  assert.equal(normaliseUnit('bulk bags').base, 'pack');
+  assert.equal(normaliseUnit('furlong'), null);
+});
+
+test('parsePackSize reads simple sizes and counts', () => {
+  assert.equal(size('25kg'), '25 kg');
+  assert.equal(size('0.8m³'), '0.8 m³');
+  assert.equal(size('20 m²'), '20 m²');
+  assert.equal(size('850kg bulk bag'), '850 kg');
+  assert.equal(size('Pack of 10'), '10');
+  assert.equal(size(5), '5');
+  assert.equal(parsePackSize(''), null);
+});
+
+test('parsePackSize skips millimetre and cross-section dimensions', () => {
+  assert.equal(size('22mm x 2.4m'), '2.4 m');
+  assert.equal(size('47 x 100 x 4.8m'), '4.8 m');
+  assert.equal(size('600 x 600mm 1.44m²'), '1.44 m²');
+  assert.equal(parsePackSize('22mm'), null);
+  assert.equal(parsePackSize('150 x 22'), null);
+  assert.equal(parsePackSize('600x600x20mm'), null);
+});
+
+test('parsePackSize takes the last of several lengths', () => {
+  assert.equal(size('1m x 50m'), '50 m');
+  assert.equal(size('1.2m x 2.4m'), '2.4 m');
+});
+
+test('parsePackSize totals a multipack', () => {
+  assert.equal(size('10 x 25kg'), '250 kg');
+  assert.equal(size('4 x 2.5 kg'), '10 kg');
+  assert.equal(size('2 x 5L'), '10 litre');
+});
+
+test('convertToPacks rounds up to whole packs across units', () => {
+  assert.deepEqual(
+    convertToPacks(3.2, 'tonnes', '850kg'),
+    { packs: 4, perPack: parsePackSize('850kg'), overage: 0.2, converted: true }
+  );
+  assert.equal(convertToPacks(500, 'kg', '10 x 25kg').packs, 2);
+  assert.equal(convertToPacks(120, 'm', '1m x 50m').packs, 3);
+});
+
+test('convertToPacks falls back to rounding up when units do not match', () => {
+  const result = convertToPacks(2.5, 'm²', '25kg');
+  assert.equal(result.packs, 3);
+  assert.equal(result.converted, false);
+  assert.equal(convertToPacks(3, 'bags', '25kg').packs, 3);
+});
@@ -0,0 +1,43 @@
+// src/lib/patch.js
+// Applies a patch from /api/refine-quote to one section of a quote. A patch is
+// { sectionId, summary, materials, labour, method } where materials and labour
+// each have `add` (new rows), `update` ([{ id, changes }]) and `remove` (ids).
+// Rows the patch doesn't mention are left exactly as they were.
+import { applyDefaultRates, getDefaultRate, DEFAULT_LABOUR_RATES } from './labour.js';
+import { getSectionItems, setSectionItems, updateSection } from './sections.js';
+
+function patchRows(rows, { add = [], update = [], remove = [] } = {}, applyChanges) {
+  const removed = new Set(remove);
+  const changesById = new Map(update.map(u => [u.id, u.changes]));
+  return [
+    ...rows
+      .filter(row => !removed.has(row.id))
+      .map(row => (changesById.has(row.id) ? applyChanges(row, changesById.get(row.id)) : row)),
+    ...add,
+  ];
+}
+
+/**
+ * Returns a copy of the quote with the patch applied to its section. Added
+ * labour is priced at the user's rates, as is any row whose trade or unit
+ * changes; other rows keep the rate the user set.
+ */
+export function applyQuotePatch(quote, patch, { labourRates = DEFAULT_LABOUR_RATES } = {}) {
+  const { sectionId } = patch;
+  const current = getSectionItems(quote, sectionId);
+
+  const materials = patchRows(current.materials, patch.materials, (row, changes) => ({ ...row, ...changes }));
+  const labour = patchRows(
+    current.labour,
+    { ...patch.labour, add: applyDefaultRates(patch.labour?.add || [], labourRates) },
+    (row, changes) => {
+      const next = { ...row, ...changes };
+      return changes.trade || changes.unit
+        ? { ...next, rate: getDefaultRate(next.trade, next.unit, labourRates) }
+        : next;
+    }
+  );
+
+  const patched = setSectionItems(quote, sectionId, { materials, labour });
+  return patch.method ? updateSection(patched, sectionId, { method: patch.method }) : patched;
+}
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyQuotePatch } from './patch.js';
+
+const quote = {
+  sections: [
+    { id: 's1', name: 'Patio', method: { steps: ['Dig'], considerations: [] } },
+    { id: 's2', name: 'Fence', method: { steps: ['Post'], considerations: [] } },
+  ],
+  materials: [
+    { id: 'm1', sectionId: 's1', name: 'Sharp sand', quantity: 1, unit: 'tonne' },
+    { id: 'm2', sectionId: 's1', name: 'Cement', quantity: 4, unit: 'bags' },
+    { id: 'm3', sectionId: 's2', name: 'Fence posts', quantity: 6, unit: 'each' },
+  ],
+  labour: [
+    { id: 'l1', sectionId: 's1', trade: 'Labourer', unit: 'day', quantity: 1, rate: 175 },
+    { id: 'l2', sectionId: 's1', trade: 'Landscaper', unit: 'day', quantity: 2, rate: 210 },
+    { id: 'l3', sectionId: 's2', trade: 'Carpenter', unit: 'day', quantity: 1, rate: 240 },
+  ],
+  selectedMaterials: { m2: true, m3: true },
+};
+
+const patch = {
+  sectionId: 's1',
+  materials: {
+    update: [{ id: 'm1', changes: { quantity: 2 } }],
+    add: [{ id: 'm4', name: 'MOT Type 1', quantity: 3, unit: 'tonne' }],
+    remove: ['m2'],
+  },
+  labour: {
+    update: [
+      { id: 'l1', changes: { quantity: 2 } },
+      { id: 'l2', changes: { trade: 'Bricklayer' } },
+    ],
+    add: [{ id: 'l4', trade: 'Groundworker', unit: 'day', quantity: 1 }],
+    remove: [],
+  },
+  method: { steps: ['Dig deeper'], considerations: [] },
+};
+
+test('applyQuotePatch adds, updates and removes rows in the section', () => {
+  const patched = applyQuotePatch(quote, patch);
+  assert.deepEqual(patched.materials.map(m => [m.id, m.sectionId, m.quantity]), [
+    ['m1', 's1', 2],
+    ['m4', 's1', 3],
+    ['m3', 's2', 6],
+  ]);
+  assert.deepEqual(patched.sections[0].method.steps, ['Dig deeper']);
+});
+
+test('applyQuotePatch leaves other sections alone', () => {
+  const patched = applyQuotePatch(quote, patch);
+  assert.deepEqual(patched.sections[1], quote.sections[1]);
+  assert.deepEqual(patched.labour.find(l => l.id === 'l3'), quote.labour[2]);
+});
+
+test('applyQuotePatch keeps hand-set rates unless the trade or unit changes', () => {
+  const labourRates = { Bricklayer: { hour: 35, day: 280 }, Groundworker: { hour: 30, day: 230 } };
+  const patched = applyQuotePatch(quote, patch, { labourRates });
+  const rate = (id) => patched.labour.find(l => l.id === id).rate;
+  assert.equal(rate('l1'), 175);
+  assert.equal(rate('l2'), 280);
+  assert.equal(rate('l4'), 230);
+});
+
+test('applyQuotePatch drops cart selections for removed materials', () => {
+  const patched = applyQuotePatch(quote, patch);
+  assert.deepEqual(patched.selectedMaterials, { m3: true });
+});
+
+test('applyQuotePatch without a method keeps the section method', () => {
+  const patched = applyQuotePatch(quote, { sectionId: 's1', materials: { remove: ['m1'] } });
+  assert.deepEqual(patched.sections[0].method, quote.sections[0].method);
+  assert.equal(patched.labour.length, 3);
+});
@@ -0,0 +1,46 @@
+// src/lib/pdfApi.js
+// Client for the server-rendered PDFs (/api/quote-pdf, /api/invoices/:id/pdf
+// and /api/purchase-order-pdf).
+
+import { saveBlob } from './download.js';
+import { apiFetch } from './apiKey.js';
+
+async function saveResponse(response, filename) {
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `PDF request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  saveBlob(await response.blob(), `${filename}.pdf`);
+}
+
+/**
+ * Renders the quote as it stands (including unsaved edits) and downloads it.
+ */
+export async function downloadQuotePdf(quote, { template } = {}) {
+  const response = await apiFetch('/api/quote-pdf', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ quote, template, download: true }),
+  });
+  await saveResponse(response, quote.customerQuote?.quoteNumber || 'quote');
+}
+
+export async function downloadInvoicePdf(invoiceId, { template } = {}) {
+  const params = new URLSearchParams({ download: '1', ...(template ? { template } : {}) });
+  const response = await apiFetch(`/api/invoices/${encodeURIComponent(invoiceId)}/pdf?${params.toString()}`);
+  await saveResponse(response, invoiceId);
+}
+
+/**
+ * One supplier's purchase order, from an order built by buildPurchaseOrders.
+ */
+export async function downloadPurchaseOrderPdf(quote, order, { requiredBy, template } = {}) {
+  const response = await apiFetch('/api/purchase-order-pdf', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ quote, supplier: order.supplier, requiredBy, template, download: true }),
+  });
+  await saveResponse(response, order.number);
+}
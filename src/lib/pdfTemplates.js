@@ -0,0 +1,11 @@
+// src/lib/pdfTemplates.js
+// Layouts for PDF quotes and invoices. The styles themselves live with the
+// renderer in api/_lib/pdf/templates.js; this is the list the UI offers.
+
+export const PDF_TEMPLATES = [
+  { id: 'classic', label: 'Classic' },
+  { id: 'modern', label: 'Modern' },
+  { id: 'minimal', label: 'Minimal' },
+];
+
+export const DEFAULT_PDF_TEMPLATE = 'classic';
@@ -0,0 +1,21 @@
+// src/lib/productSearch.js
+// Client for /api/search-products. Results are cached per query for the session
+// so retyping a search (or searching the same term on another row) is instant.
+
+import { apiFetch } from './apiKey.js';
+
+const cache = new Map();
+
+export async function searchProducts(query) {
+  const key = query.trim().toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  const response = await apiFetch(`/api/search-products?q=${encodeURIComponent(key)}`);
+  if (!response.ok) {
+    throw new Error(`Product search failed with status ${response.status}`);
+  }
+
+  const { results = [] } = await response.json();
+  cache.set(key, results);
+  return results;
+}
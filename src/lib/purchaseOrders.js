@@ -0,0 +1,110 @@
+// src/lib/purchaseOrders.js
+// Purchase orders for a quote's materials: one per supplier (or catalogue
+// source, when a product doesn't name its supplier), numbered <quote>-PO1,
+// <quote>-PO2, ... in supplier order. Prices are the quote's unit prices,
+// excluding VAT. Shared by the CSV export here and the PDF in
+// api/_lib/pdf/purchaseOrder.js.
+
+import { getOrderLines } from './cart.js';
+
+const SOURCE_SUPPLIERS = {
+  wordpress: 'At Trade Price',
+  local: 'Local price list',
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const getSupplierName = (option) =>
+  option?.supplier || SOURCE_SUPPLIERS[option?.source] || 'Other supplier';
+
+/**
+ * Groups the materials to order (see getOrderLines) by supplier.
+ * Returns {
+ *   orders: [{ number, supplier, lines: [{ productId, sku, name, materials, packs, packSize, unitPrice, amount }], total }],
+ *   skipped, deliverTo: { name, address }, requiredBy
+ * }. `requiredBy` is passed through as given.
+ */
+export function buildPurchaseOrders(quote, { requiredBy = '' } = {}) {
+  const { lines, skipped } = getOrderLines(quote);
+  const bySupplier = new Map();
+
+  lines.forEach(({ material, line }) => {
+    const supplier = getSupplierName(line.option);
+    if (!bySupplier.has(supplier)) bySupplier.set(supplier, new Map());
+    const products = bySupplier.get(supplier);
+    // The same product at a different price stays on its own line
+    const key = `${line.option.id}:${line.unitPrice}`;
+    const existing = products.get(key);
+    if (existing) {
+      existing.packs += line.packs;
+      existing.amount = round2(existing.amount + line.lineTotal);
+      existing.materials.push(material.name);
+      return;
+    }
+    products.set(key, {
+      productId: line.option.id,
+      sku: line.option.sku || '',
+      name: line.option.name,
+      materials: [material.name],
+      packs: line.packs,
+      packSize: line.option.packSize || '',
+      unitPrice: line.unitPrice,
+      amount: round2(line.lineTotal),
+    });
+  });
+
+  const reference = quote.customerQuote?.quoteNumber || 'PO';
+  const orders = [...bySupplier.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([supplier, products], i) => {
+      const orderLines = [...products.values()];
+      return {
+        number: `${reference}-PO${i + 1}`,
+        supplier,
+        lines: orderLines,
+        total: round2(orderLines.reduce((sum, l) => sum + l.amount, 0)),
+      };
+    });
+
+  const customer = quote.customerQuote?.customer || {};
+  return {
+    orders,
+    skipped,
+    deliverTo: { name: customer.name || '', address: customer.address || '' },
+    requiredBy,
+  };
+}
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Product, material and customer text could otherwise open in a spreadsheet
+  // as a formula; plain numbers such as prices are left alone
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(?:\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",'\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per order line, every order in the same file, for importing
+ * into a merchant's system or a spreadsheet.
+ */
+export function purchaseOrdersToCsv({ orders, deliverTo, requiredBy }) {
+  const header = [
+    'PO number', 'Supplier', 'Product code', 'Product', 'For', 'Packs', 'Pack size',
+    'Unit price (ex. VAT)', 'Line total (ex. VAT)', 'Deliver to', 'Delivery address', 'Required by',
+  ];
+  const rows = orders.flatMap(order => order.lines.map(line => [
+    order.number,
+    order.supplier,
+    line.sku || line.productId,
+    line.name,
+    line.materials.join('; '),
+    line.packs,
+    line.packSize,
+    line.unitPrice.toFixed(2),
+    line.amount.toFixed(2),
+    deliverTo.name,
+    deliverTo.address,
+    requiredBy,
+  ]));
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPurchaseOrders, purchaseOrdersToCsv } from './purchaseOrders.js';
+import { createManualOption } from './materials.js';
+
+const material = (id, name, option, fields = {}) => ({
+  id,
+  name,
+  quantity: 1,
+  unit: 'each',
+  options: [option],
+  selectedProductId: option.id,
+  unitPrice: option.tradePrice,
+  ...fields,
+});
+
+const quote = {
+  customerQuote: { quoteNumber: 'Q-7', customer: { name: 'A Customer', address: '1 High Street' } },
+  materials: [
+    material('m1', 'Sleepers', { id: 't1', name: 'Oak sleeper', tradePrice: 30, supplier: 'Timber Yard', packSize: '1' }, { quantity: 4 }),
+    material('m2', 'Ballast', { id: 'a1', name: 'Ballast bulk bag', tradePrice: 55, source: 'local', packSize: '850kg' }, { quantity: 1, unit: 'tonnes' }),
+    material('m3', 'More sleepers', { id: 't1', name: 'Oak sleeper', tradePrice: 30, supplier: 'Timber Yard', packSize: '1' }, { quantity: 2 }),
+    material('m4', 'Edging', createManualOption('Edging')),
+  ],
+};
+
+test('buildPurchaseOrders groups products by supplier and numbers the orders', () => {
+  const { orders, deliverTo, requiredBy } = buildPurchaseOrders(quote, { requiredBy: '01/06/2026' });
+
+  assert.deepEqual(orders.map(o => [o.number, o.supplier, o.total]), [
+    ['Q-7-PO1', 'Local price list', 110],
+    ['Q-7-PO2', 'Timber Yard', 180],
+  ]);
+  // The same product at the same price becomes one line
+  assert.deepEqual(orders[1].lines, [{
+    productId: 't1',
+    sku: '',
+    name: 'Oak sleeper',
+    materials: ['Sleepers', 'More sleepers'],
+    packs: 6,
+    packSize: '1',
+    unitPrice: 30,
+    amount: 180,
+  }]);
+  assert.deepEqual(deliverTo, { name: 'A Customer', address: '1 High Street' });
+  assert.equal(requiredBy, '01/06/2026');
+});
+
+test('buildPurchaseOrders reports materials without a product', () => {
+  const { skipped } = buildPurchaseOrders(quote);
+  assert.deepEqual(skipped, [{ materialId: 'm4', name: 'Edging', reason: 'No product selected' }]);
+});
+
+test('buildPurchaseOrders only orders materials added to the cart, when there are any', () => {
+  const { orders } = buildPurchaseOrders({ ...quote, selectedMaterials: { m2: true } });
+  assert.deepEqual(orders.map(o => o.supplier), ['Local price list']);
+});
+
+test('purchaseOrdersToCsv writes one row per order line', () => {
+  const csv = purchaseOrdersToCsv(buildPurchaseOrders(quote));
+  const rows = csv.split('\r\n');
+  assert.equal(rows.length, 3);
+  assert.match(rows[0], /^PO number,Supplier,/);
+  assert.equal(rows[2], 'Q-7-PO2,Timber Yard,t1,Oak sleeper,Sleepers; More sleepers,6,1,30.00,180.00,A Customer,1 High Street,');
+});
+
+test('purchaseOrdersToCsv stops cells opening as spreadsheet formulas', () => {
+  const risky = {
+    ...quote,
+    customerQuote: { ...quote.customerQuote, customer: { name: '=HYPERLINK("http://x")', address: '@SUM(A1)' } },
+  };
+  const row = purchaseOrdersToCsv(buildPurchaseOrders(risky)).split('\r\n')[1];
+  assert.ok(row.includes(`"'=HYPERLINK(""http://x"")"`));
+  assert.ok(row.includes(`"'@SUM(A1)"`));
+  assert.ok(row.includes(',55.00,'));
+});
@@ -0,0 +1,32 @@
+// src/lib/quoteStatus.js
+// Where a saved quote is with the customer. A quote is a draft until it's
+// shared, then sent → viewed → accepted or declined. Quotes the customer
+// hasn't answered become expired once their validity runs out (see terms.js);
+// that status is worked out when read rather than stored.
+import { isQuoteExpired } from './terms.js';
+
+export const QUOTE_STATUSES = [
+  { id: 'draft', label: 'Draft', className: 'bg-gray-100 text-gray-700' },
+  { id: 'sent', label: 'Sent', className: 'bg-blue-100 text-blue-800' },
+  { id: 'viewed', label: 'Viewed', className: 'bg-indigo-100 text-indigo-800' },
+  { id: 'accepted', label: 'Accepted', className: 'bg-green-100 text-green-800' },
+  { id: 'declined', label: 'Declined', className: 'bg-red-100 text-red-800' },
+  { id: 'expired', label: 'Expired', className: 'bg-amber-100 text-amber-800' },
+];
+
+// Statuses the customer can still accept or decline from
+export const OPEN_STATUSES = ['sent', 'viewed'];
+
+export const getStatusInfo = (id) => QUOTE_STATUSES.find(s => s.id === id) || QUOTE_STATUSES[0];
+
+/**
+ * The current status of a saved quote record. Open quotes are checked against
+ * the validity of the version the customer was sent.
+ */
+export function getQuoteStatus(record, now = new Date()) {
+  const status = record?.status || 'draft';
+  if (OPEN_STATUSES.includes(status) && isQuoteExpired(record.share?.quote?.customerQuote, now)) {
+    return 'expired';
+  }
+  return status;
+}
@@ -0,0 +1,115 @@
+// src/lib/quotesApi.js
+// Client for the /api/quotes persistence API, including customer links
+// (/api/quotes/:id/share) and invoices.
+
+import { apiFetch } from './apiKey.js';
+
+async function request(url, options = {}) {
+  const response = await apiFetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `Request to ${url} failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+export function listQuotes({ search = '', page = 1, pageSize = 20 } = {}) {
+  const params = new URLSearchParams({ search, page, pageSize });
+  return request(`/api/quotes?${params.toString()}`);
+}
+
+export function getQuote(id) {
+  return request(`/api/quotes/${encodeURIComponent(id)}`);
+}
+
+export function createQuote(quote) {
+  return request('/api/quotes', { method: 'POST', body: JSON.stringify({ quote }) });
+}
+
+export function updateQuote(id, quote) {
+  return request(`/api/quotes/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    body: JSON.stringify({ quote }),
+  });
+}
+
+export function deleteQuote(id) {
+  return request(`/api/quotes/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * One-off move of quotes saved by older versions (localStorage `quote_Q-*` keys)
+ * onto the server. Each key is only removed once the server has it.
+ */
+export async function migrateLocalQuotes() {
+  const keys = Object.keys(localStorage).filter(k => k.startsWith('quote_Q-'));
+  for (const key of keys) {
+    try {
+      await createQuote(JSON.parse(localStorage.getItem(key)));
+      localStorage.removeItem(key);
+    } catch (err) {
+      if (err.status === 409) localStorage.removeItem(key);
+      else console.error(`Failed to migrate saved quote ${key}:`, err);
+    }
+  }
+  localStorage.removeItem('atp_last_quote');
+}
+
+/**
+ * Saves the quote under its quote number, creating it the first time.
+ */
+export async function saveQuote(quote) {
+  const id = quote.customerQuote?.quoteNumber;
+  try {
+    return await updateQuote(id, quote);
+  } catch (err) {
+    if (err.status === 404) return createQuote(quote);
+    throw err;
+  }
+}
+
+export function listRevisions(id) {
+  return request(`/api/quotes/${encodeURIComponent(id)}/revisions`);
+}
+
+export function createRevision(id, { note, quote }) {
+  return request(`/api/quotes/${encodeURIComponent(id)}/revisions`, {
+    method: 'POST',
+    body: JSON.stringify({ note, quote }),
+  });
+}
+
+export function getQuoteShare(id) {
+  return request(`/api/quotes/${encodeURIComponent(id)}/share`);
+}
+
+export function shareQuote(id) {
+  return request(`/api/quotes/${encodeURIComponent(id)}/share`, { method: 'POST' });
+}
+
+export function revokeQuoteShare(id) {
+  return request(`/api/quotes/${encodeURIComponent(id)}/share`, { method: 'DELETE' });
+}
+
+export function listInvoices(quoteId) {
+  return request(`/api/quotes/${encodeURIComponent(quoteId)}/invoices`);
+}
+
+export function createInvoice(quoteId, { type, percent, description, dueDays }) {
+  return request(`/api/quotes/${encodeURIComponent(quoteId)}/invoices`, {
+    method: 'POST',
+    body: JSON.stringify({ type, percent, description, dueDays }),
+  });
+}
+
+export function setInvoicePaid(invoiceId, paid) {
+  return request(`/api/invoices/${encodeURIComponent(invoiceId)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ paid }),
+  });
+}
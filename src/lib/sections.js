@@ -0,0 +1,159 @@
+// src/lib/sections.js
+// A quote is made of named sections (e.g. "Patio", "Side fence"), each with
+// its own method. Materials and labour items point at their section through
+// `sectionId`. Quotes saved before sections existed have a single top-level
+// `method` and untagged items; they read as one section.
+import { calculateQuoteTotals } from './totals.js';
+import { getQuoteLabour } from './labour.js';
+
+export const DEFAULT_SECTION_NAME = 'Main works';
+
+export function createSectionId() {
+  return `sec-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * The quote's sections, falling back to one section for older quotes.
+ */
+export function getQuoteSections(quote) {
+  if (quote?.sections?.length) return quote.sections;
+  return [{
+    id: 'main',
+    name: DEFAULT_SECTION_NAME,
+    description: quote?.customerQuote?.projectDescription || '',
+    method: quote?.method || null,
+  }];
+}
+
+// Items without a section (older quotes, or rows added before tagging) belong to the first one
+const belongsTo = (item, sectionId, firstId) => (item.sectionId || firstId) === sectionId;
+
+/**
+ * The materials and labour items that belong to one section.
+ */
+export function getSectionItems(quote, sectionId) {
+  const firstId = getQuoteSections(quote)[0].id;
+  return {
+    materials: (quote.materials || []).filter(m => belongsTo(m, sectionId, firstId)),
+    labour: getQuoteLabour(quote).filter(l => belongsTo(l, sectionId, firstId)),
+  };
+}
+
+/**
+ * Converts an older single-method quote into the sectioned shape, tagging
+ * every item with its section. Quotes already in that shape come back as-is.
+ */
+export function ensureSections(quote) {
+  const sections = getQuoteSections(quote);
+  const firstId = sections[0].id;
+  const labour = getQuoteLabour(quote);
+  const tagged = (item) => item.sectionId;
+  if (quote.sections?.length && (quote.materials || []).every(tagged) && labour.every(tagged)) {
+    return quote;
+  }
+
+  const tag = (item) => (item.sectionId ? item : { ...item, sectionId: firstId });
+  const upgraded = {
+    ...quote,
+    sections,
+    materials: (quote.materials || []).map(tag),
+    labour: labour.map(tag),
+  };
+  // The method now lives on the section
+  delete upgraded.method;
+  return upgraded;
+}
+
+// Drops cart selections for materials that are no longer on the quote
+function pruneSelections(quote) {
+  const ids = new Set(quote.materials.map(m => String(m.id)));
+  const selectedMaterials = Object.fromEntries(
+    Object.entries(quote.selectedMaterials || {}).filter(([id]) => ids.has(String(id)))
+  );
+  return { ...quote, selectedMaterials };
+}
+
+/**
+ * Replaces one section's materials and/or labour, keeping other sections'
+ * items and the overall order of sections.
+ */
+export function setSectionItems(quote, sectionId, { materials, labour }) {
+  const base = ensureSections(quote);
+  const order = base.sections.map(s => s.id);
+  const merge = (items, replacement) => {
+    if (!replacement) return items;
+    const tagged = replacement.map(item => ({ ...item, sectionId }));
+    // Keep items grouped by section in section order
+    return order.flatMap(id => (id === sectionId ? tagged : items.filter(i => i.sectionId === id)));
+  };
+  return pruneSelections({
+    ...base,
+    materials: merge(base.materials, materials),
+    labour: merge(base.labour, labour),
+  });
+}
+
+// Drops a section's good/better/best options (see alternatives.js), which no
+// longer apply once the section is regenerated or removed
+function dropAlternatives(quote, sectionId) {
+  if (!quote.alternatives?.length) return quote;
+  const selectedAlternatives = { ...(quote.selectedAlternatives || {}) };
+  delete selectedAlternatives[sectionId];
+  return {
+    ...quote,
+    alternatives: quote.alternatives.filter(alt => alt.sectionId !== sectionId),
+    selectedAlternatives,
+  };
+}
+
+/**
+ * Adds a section, or replaces it when one with the same id exists, along with
+ * its generated materials and labour.
+ */
+export function upsertSection(quote, section, { materials = [], labour = [] } = {}) {
+  const base = dropAlternatives(ensureSections(quote), section.id);
+  const exists = base.sections.some(s => s.id === section.id);
+  const sections = exists
+    ? base.sections.map(s => (s.id === section.id ? { ...s, ...section } : s))
+    : [...base.sections, section];
+  return setSectionItems({ ...base, sections }, section.id, { materials, labour });
+}
+
+export function updateSection(quote, sectionId, changes) {
+  const base = ensureSections(quote);
+  return {
+    ...base,
+    sections: base.sections.map(s => (s.id === sectionId ? { ...s, ...changes } : s)),
+  };
+}
+
+/**
+ * Removes a section with its items, options and any cart selections for them.
+ */
+export function removeSection(quote, sectionId) {
+  const base = dropAlternatives(ensureSections(quote), sectionId);
+  return pruneSelections({
+    ...base,
+    sections: base.sections.filter(s => s.id !== sectionId),
+    materials: base.materials.filter(m => m.sectionId !== sectionId),
+    labour: base.labour.filter(l => l.sectionId !== sectionId),
+  });
+}
+
+/**
+ * Ex-VAT subtotals per section: [{ id, name, materials, wasteAllowance, labour, net }].
+ * VAT is worked out on the whole quote, as it's charged on the invoice total.
+ */
+export function calculateSectionTotals(quote) {
+  return getQuoteSections(quote).map(section => {
+    const totals = calculateQuoteTotals({ ...quote, ...getSectionItems(quote, section.id) });
+    return {
+      id: section.id,
+      name: section.name,
+      materials: totals.materials,
+      wasteAllowance: totals.wasteAllowance,
+      labour: totals.labour,
+      net: totals.net,
+    };
+  });
+}
@@ -0,0 +1,35 @@
+// src/lib/shareApi.js
+// Client for the customer's view of a shared quote (/api/share/:token).
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+// The token in a /q/<token> page address, or null on any other page
+export function getShareToken(pathname = window.location.pathname) {
+  const match = /^\/q\/([A-Za-z0-9_-]+)\/?$/.exec(pathname);
+  return match ? match[1] : null;
+}
+
+export const shareUrl = (path) => `${window.location.origin}${path}`;
+
+export function getSharedQuote(token) {
+  return request(`/api/share/${encodeURIComponent(token)}`);
+}
+
+export function respondToSharedQuote(token, { decision, name }) {
+  return request(`/api/share/${encodeURIComponent(token)}`, {
+    method: 'POST',
+    body: JSON.stringify({ decision, name }),
+  });
+}
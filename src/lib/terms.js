@@ -0,0 +1,47 @@
+// src/lib/terms.js
+// Payment terms and how long a quote is valid for. Both are set with the
+// company details and copied onto each quote, so older quotes keep the terms
+// they were issued with.
+
+export const DEFAULT_VALIDITY_DAYS = 30;
+
+export const DEFAULT_PAYMENT_TERMS =
+  'Payment due within 14 days of completion. A deposit may be requested before materials are ordered.';
+
+// Quote dates are stored as en-GB strings (dd/mm/yyyy); newer fields may be ISO dates
+export function parseQuoteDate(value) {
+  if (!value) return null;
+  const gb = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(String(value).trim());
+  const date = gb ? new Date(Number(gb[3]), Number(gb[2]) - 1, Number(gb[1])) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export const formatDate = (date) => (date ? date.toLocaleDateString('en-GB') : '');
+
+/**
+ * The terms for a quote: { validityDays, paymentTerms, validUntil } where
+ * `validUntil` is a Date, or null when the quote has no readable date.
+ */
+export function getQuoteTerms(customerQuote) {
+  const company = customerQuote?.company || {};
+  const days = Number(company.validityDays);
+  const validityDays = Number.isFinite(days) && days > 0 ? Math.round(days) : DEFAULT_VALIDITY_DAYS;
+  const paymentTerms = String(company.paymentTerms ?? '').trim() || DEFAULT_PAYMENT_TERMS;
+
+  const issued = parseQuoteDate(customerQuote?.date);
+  const validUntil = issued ? new Date(issued.getTime()) : null;
+  if (validUntil) validUntil.setDate(validUntil.getDate() + validityDays);
+
+  return { validityDays, paymentTerms, validUntil };
+}
+
+/**
+ * Whether a quote's validity has run out. The "valid until" day itself still counts.
+ */
+export function isQuoteExpired(customerQuote, now = new Date()) {
+  const { validUntil } = getQuoteTerms(customerQuote);
+  if (!validUntil) return false;
+  const endOfDay = new Date(validUntil.getTime());
+  endOfDay.setDate(endOfDay.getDate() + 1);
+  return now >= endOfDay;
+}
@@ -0,0 +1,81 @@
+// src/lib/totals.js
+// Quote totals, split by VAT treatment. Shared by the on-screen quote and exports.
+import { getMaterialLine } from './materials.js';
+import { getLabourLineTotal, getQuoteLabour } from './labour.js';
+import {
+  VAT_TREATMENTS,
+  getTreatmentRate,
+  getVatTreatment,
+  normaliseVatRate,
+  treatmentForVatStatus,
+} from './vat.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Unknown treatment ids (a typo, or one from a newer version) count as standard rate
+const knownTreatment = (id) => getVatTreatment(id).id;
+
+export function getMaterialVatTreatment(material, line = getMaterialLine(material)) {
+  return knownTreatment(material.vatTreatment || treatmentForVatStatus(line.option?.vatStatus));
+}
+
+export function getLabourVatTreatment(item) {
+  return knownTreatment(item.vatTreatment);
+}
+
+/**
+ * Works out every figure on the customer quote. `vat` is the VAT we charge;
+ * reverse-charge lines carry no VAT on the invoice but report the amount the
+ * customer must account for in `reverseChargeVat`.
+ */
+export function calculateQuoteTotals(quote) {
+  const standardRate = normaliseVatRate(quote?.customerQuote?.vatRate);
+  const byTreatment = Object.fromEntries(VAT_TREATMENTS.map(t => [t.id, 0]));
+
+  let materials = 0;
+  let wasteAllowance = 0;
+  (quote?.materials || []).forEach(material => {
+    const line = getMaterialLine(material);
+    materials += line.lineTotal;
+    wasteAllowance += line.wasteCost;
+    byTreatment[getMaterialVatTreatment(material, line)] += line.lineTotal;
+  });
+
+  let labour = 0;
+  getQuoteLabour(quote).forEach(item => {
+    const cost = getLabourLineTotal(item);
+    labour += cost;
+    byTreatment[getLabourVatTreatment(item)] += cost;
+  });
+
+  const vatLines = VAT_TREATMENTS
+    .filter(t => byTreatment[t.id] > 0)
+    .map(t => {
+      const rate = getTreatmentRate(t.id, standardRate);
+      const net = round2(byTreatment[t.id]);
+      return {
+        treatment: t.id,
+        label: getVatTreatment(t.id).label,
+        rate,
+        net,
+        vat: round2((net * rate) / 100),
+        reverseCharge: !!t.reverseCharge,
+      };
+    });
+
+  const net = round2(materials + labour);
+  const vat = round2(vatLines.filter(l => !l.reverseCharge).reduce((sum, l) => sum + l.vat, 0));
+  const reverseChargeVat = round2(vatLines.filter(l => l.reverseCharge).reduce((sum, l) => sum + l.vat, 0));
+
+  return {
+    standardRate,
+    materials: round2(materials),
+    wasteAllowance: round2(wasteAllowance),
+    labour: round2(labour),
+    net,
+    vatLines,
+    vat,
+    reverseChargeVat,
+    total: round2(net + vat),
+  };
+}
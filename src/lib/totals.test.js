@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateQuoteTotals } from './totals.js';
+
+const product = (id, fields) => ({ id, name: `Product ${id}`, ...fields });
+
+// 19 m² plus 5% waste needs a second 19.5 m² pack the bare quantity wouldn't
+const sampleQuote = () => ({
+  customerQuote: { quoteNumber: 'Q-1', vatRate: 20 },
+  materials: [
+    {
+      id: 'm1',
+      name: 'Sandstone paving',
+      quantity: 19,
+      unit: 'm²',
+      wastePercent: 5,
+      options: [product('p1', { packSize: '19.5 m²', vatStatus: 'taxable', supplier: 'Stoneworks' })],
+      selectedProductId: 'p1',
+      unitPrice: 395,
+    },
+    {
+      id: 'm2',
+      name: 'Kiln-dried sand',
+      quantity: 3,
+      unit: 'bags',
+      options: [product('p2', { packSize: '20kg', vatStatus: 'zero rated', supplier: 'Aggregates Co' })],
+      selectedProductId: 'p2',
+      unitPrice: 10,
+    },
+  ],
+  labour: [
+    { id: 'l1', trade: 'Labourer', unit: 'day', quantity: 2, rate: 150 },
+    { id: 'l2', trade: 'Electrician', unit: 'hour', quantity: 1, rate: 100, vatTreatment: 'reverse-charge' },
+    { id: 'l3', trade: 'General', unit: 'hour', quantity: 1, rate: 50, vatTreatment: 'no-such-treatment' },
+  ],
+});
+
+test('calculateQuoteTotals prices materials in whole packs and reports the waste cost', () => {
+  const totals = calculateQuoteTotals(sampleQuote());
+  assert.equal(totals.materials, 820);
+  assert.equal(totals.wasteAllowance, 395);
+  assert.equal(totals.labour, 450);
+  assert.equal(totals.net, 1270);
+});
+
+test('calculateQuoteTotals splits VAT by treatment', () => {
+  const totals = calculateQuoteTotals(sampleQuote());
+  assert.deepEqual(
+    totals.vatLines.map(({ treatment, rate, net, vat }) => ({ treatment, rate, net, vat })),
+    [
+      // The unknown treatment counts at the standard rate
+      { treatment: 'standard', rate: 20, net: 1140, vat: 228 },
+      { treatment: 'zero', rate: 0, net: 30, vat: 0 },
+      { treatment: 'reverse-charge', rate: 20, net: 100, vat: 20 },
+    ]
+  );
+  assert.equal(totals.vat, 228);
+  assert.equal(totals.reverseChargeVat, 20);
+  assert.equal(totals.total, 1498);
+});
+
+test('calculateQuoteTotals uses the quote VAT rate, or the default without one', () => {
+  const quote = sampleQuote();
+  assert.equal(calculateQuoteTotals({ ...quote, customerQuote: { vatRate: 5 } }).vat, 57);
+  assert.equal(calculateQuoteTotals({ ...quote, customerQuote: {} }).standardRate, 20);
+});
+
+test('calculateQuoteTotals handles an empty quote', () => {
+  const totals = calculateQuoteTotals({});
+  assert.equal(totals.total, 0);
+  assert.deepEqual(totals.vatLines, []);
+});
@@ -0,0 +1,64 @@
+// src/lib/vat.js
+// VAT treatments that can be applied per line. Rates are percentages throughout.
+
+export const DEFAULT_VAT_RATE = 20;
+
+export const VAT_TREATMENTS = [
+  {
+    id: 'standard',
+    label: 'Standard rate',
+    shortLabel: 'Std',
+    rate: null, // uses the quote's standard rate
+  },
+  {
+    id: 'reduced',
+    label: 'Reduced rate (qualifying energy-saving installation)',
+    shortLabel: '5%',
+    rate: 5,
+  },
+  {
+    id: 'zero',
+    label: 'Zero-rated',
+    shortLabel: '0%',
+    rate: 0,
+  },
+  {
+    id: 'reverse-charge',
+    label: 'Domestic reverse charge',
+    shortLabel: 'RC',
+    rate: null, // standard rate, accounted for by the customer
+    reverseCharge: true,
+  },
+];
+
+export const REVERSE_CHARGE_NOTE =
+  'Reverse charge: customer to account to HMRC for the VAT. VAT Act 1994 Section 55A applies.';
+
+export function getVatTreatment(id) {
+  return VAT_TREATMENTS.find(t => t.id === id) || VAT_TREATMENTS[0];
+}
+
+/**
+ * The quote's standard rate as a percentage, as the form enters it. Quotes
+ * saved before the rate was stored on them have none and get the default.
+ */
+export function normaliseVatRate(rate) {
+  if (rate === null || rate === undefined || rate === '') return DEFAULT_VAT_RATE;
+  const value = Number(rate);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_VAT_RATE;
+}
+
+export function getTreatmentRate(treatmentId, standardRate = DEFAULT_VAT_RATE) {
+  const treatment = getVatTreatment(treatmentId);
+  return treatment.rate ?? normaliseVatRate(standardRate);
+}
+
+/**
+ * Default treatment for a product, based on the VAT status the catalogue reports.
+ */
+export function treatmentForVatStatus(vatStatus) {
+  const status = String(vatStatus || '').toLowerCase();
+  if (status.includes('zero') || status === 'none' || status === 'exempt') return 'zero';
+  if (status.includes('reduced')) return 'reduced';
+  return 'standard';
+}
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_VAT_RATE,
+  getTreatmentRate,
+  getVatTreatment,
+  normaliseVatRate,
+  treatmentForVatStatus,
+} from './vat.js';
+
+test('normaliseVatRate takes the rate as a percentage', () => {
+  assert.equal(normaliseVatRate(20), 20);
+  assert.equal(normaliseVatRate('5'), 5);
+  assert.equal(normaliseVatRate(0), 0);
+  // A fraction is a (very low) percentage, not 20%
+  assert.equal(normaliseVatRate(0.2), 0.2);
+});
+
+test('normaliseVatRate falls back to the default for missing or invalid rates', () => {
+  assert.equal(normaliseVatRate(undefined), DEFAULT_VAT_RATE);
+  assert.equal(normaliseVatRate(''), DEFAULT_VAT_RATE);
+  assert.equal(normaliseVatRate('abc'), DEFAULT_VAT_RATE);
+  assert.equal(normaliseVatRate(-5), DEFAULT_VAT_RATE);
+});
+
+test('getTreatmentRate uses fixed rates or the standard rate', () => {
+  assert.equal(getTreatmentRate('reduced', 20), 5);
+  assert.equal(getTreatmentRate('zero', 20), 0);
+  assert.equal(getTreatmentRate('standard', 17.5), 17.5);
+  assert.equal(getTreatmentRate('reverse-charge', 20), 20);
+});
+
+test('getVatTreatment treats unknown ids as standard rate', () => {
+  assert.equal(getVatTreatment('no-such-treatment').id, 'standard');
+});
+
+test('treatmentForVatStatus maps catalogue VAT statuses', () => {
+  assert.equal(treatmentForVatStatus('Zero rated'), 'zero');
+  assert.equal(treatmentForVatStatus('exempt'), 'zero');
+  assert.equal(treatmentForVatStatus('reduced-rate'), 'reduced');
+  assert.equal(treatmentForVatStatus('taxable'), 'standard');
+  assert.equal(treatmentForVatStatus(null), 'standard');
+});
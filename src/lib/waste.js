@@ -0,0 +1,66 @@
+// src/lib/waste.js
+// Over-order allowances for cutting, breakage and spillage, set per material category.
+
+export const WASTE_CATEGORIES = [
+  { id: 'tiles', label: 'Tiles', defaultPercent: 10, keywords: ['tile', 'porcelain', 'ceramic', 'mosaic'] },
+  { id: 'paving', label: 'Slabs & Paving', defaultPercent: 5, keywords: ['slab', 'paving', 'flag', 'flagstone', 'sandstone', 'limestone', 'sett', 'cobble', 'block paving'] },
+  { id: 'timber', label: 'Timber', defaultPercent: 10, keywords: ['timber', 'decking', 'deck board', 'joist', 'batten', 'sleeper', 'arris rail', 'fence rail', 'gravel board', 'board', 'cls', 'stud', 'plywood', 'osb', 'fence panel', 'fence post', 'post'] },
+  { id: 'aggregates', label: 'Aggregates', defaultPercent: 5, keywords: ['sand', 'gravel', 'ballast', 'aggregate', 'mot', 'type 1', 'hardcore', 'scalpings', 'shingle', 'chippings', 'topsoil'] },
+  { id: 'masonry', label: 'Bricks & Blocks', defaultPercent: 5, keywords: ['brick', 'block', 'concrete block', 'kerb', 'edging', 'coping'] },
+  { id: 'cement', label: 'Cement & Mortar', defaultPercent: 5, keywords: ['cement', 'mortar', 'concrete', 'postcrete', 'lime', 'grout', 'adhesive', 'render', 'plaster'] },
+  { id: 'other', label: 'Other', defaultPercent: 0, keywords: [] },
+];
+
+const CATEGORY_IDS = WASTE_CATEGORIES.map(c => c.id);
+
+// Keywords match whole words (plurals too), longest first, so "concrete block"
+// beats "concrete" and "postcrete" isn't a "post"
+const KEYWORD_PATTERNS = WASTE_CATEGORIES
+  .flatMap(c => c.keywords.map(keyword => ({ keyword, category: c.id })))
+  .sort((a, b) => b.keyword.length - a.keyword.length)
+  .map(({ keyword, category }) => ({
+    pattern: new RegExp(`\\b${keyword.replace(/ /g, '\\s+')}(?:e?s)?\\b`),
+    category,
+  }));
+
+export const DEFAULT_WASTE_ALLOWANCES = Object.fromEntries(
+  WASTE_CATEGORIES.map(c => [c.id, c.defaultPercent])
+);
+
+/**
+ * Picks a waste category for a material. A valid category supplied by the AI
+ * wins; otherwise the most specific keyword found in the name decides.
+ */
+export function categoriseMaterial(name = '', suggested) {
+  const hint = String(suggested || '').trim().toLowerCase();
+  if (CATEGORY_IDS.includes(hint)) return hint;
+
+  const text = String(name).toLowerCase();
+  const match = KEYWORD_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.category : 'other';
+}
+
+/**
+ * Merges per-quote overrides over the defaults, dropping anything that isn't a
+ * known category or a sensible percentage.
+ */
+export function resolveWasteAllowances(overrides = {}) {
+  const allowances = { ...DEFAULT_WASTE_ALLOWANCES };
+  Object.entries(overrides || {}).forEach(([category, percent]) => {
+    const value = Number(percent);
+    if (CATEGORY_IDS.includes(category) && Number.isFinite(value) && value >= 0 && value <= 100) {
+      allowances[category] = value;
+    }
+  });
+  return allowances;
+}
+
+/**
+ * Stamps each material with its category and the allowance for that category.
+ */
+export function applyWasteAllowances(materials = [], allowances = DEFAULT_WASTE_ALLOWANCES) {
+  return materials.map(m => {
+    const category = categoriseMaterial(m.name, m.category);
+    return { ...m, category, wastePercent: allowances[category] ?? 0 };
+  });
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_WASTE_ALLOWANCES,
+  applyWasteAllowances,
+  categoriseMaterial,
+  resolveWasteAllowances,
+} from './waste.js';
+
+test('categoriseMaterial prefers a valid suggested category', () => {
+  assert.equal(categoriseMaterial('Sharp sand', 'Cement'), 'cement');
+  assert.equal(categoriseMaterial('Sharp sand', 'not-a-category'), 'aggregates');
+});
+
+test('categoriseMaterial matches keywords as whole words', () => {
+  assert.equal(categoriseMaterial('Postcrete 20kg'), 'cement');
+  assert.equal(categoriseMaterial('Plasterboard 12.5mm'), 'other');
+  assert.equal(categoriseMaterial('Stainless handrail bracket'), 'other');
+  assert.equal(categoriseMaterial('M10 studding'), 'other');
+  assert.equal(categoriseMaterial('Hydrated lime'), 'cement');
+  assert.equal(categoriseMaterial('Porcelain tiles'), 'tiles');
+  assert.equal(categoriseMaterial('Timber fence posts'), 'timber');
+});
+
+test('categoriseMaterial tries the most specific keyword first', () => {
+  assert.equal(categoriseMaterial('Concrete blocks 100mm'), 'masonry');
+  assert.equal(categoriseMaterial('Block paving 200 x 100'), 'paving');
+  assert.equal(categoriseMaterial('Indian sandstone slabs'), 'paving');
+  assert.equal(categoriseMaterial('Concrete gravel boards'), 'timber');
+  assert.equal(categoriseMaterial('Ready-mix concrete'), 'cement');
+  assert.equal(categoriseMaterial('Tile adhesive'), 'cement');
+});
+
+test('resolveWasteAllowances keeps sensible overrides for known categories', () => {
+  const allowances = resolveWasteAllowances({ tiles: 15, timber: '12', paving: -1, aggregates: 150, bogus: 5 });
+  assert.deepEqual(allowances, { ...DEFAULT_WASTE_ALLOWANCES, tiles: 15, timber: 12 });
+});
+
+test('applyWasteAllowances stamps each material with its category and allowance', () => {
+  const materials = applyWasteAllowances(
+    [{ name: 'Porcelain tiles' }, { name: 'Weed membrane' }],
+    resolveWasteAllowances({ tiles: 12 })
+  );
+  assert.deepEqual(materials.map(m => [m.category, m.wastePercent]), [['tiles', 12], ['other', 0]]);
+});
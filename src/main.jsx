@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import SharedQuoteView from './SharedQuoteView.jsx'
+import { getShareToken } from './lib/shareApi'
+
+// Customers open shared quotes at /q/<token>; everything else is the quoting tool
+const shareToken = getShareToken()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {shareToken ? <SharedQuoteView token={shareToken} /> : <App />}
   </StrictMode>,
 )